@@ -7,18 +7,43 @@ import Exercises from '../client/pages/exercises';
 import Workout from '../client/pages/workout';
 import UserProfile from '../client/pages/user-profile';
 import BotNavbar from '../client/components/bot-navbar';
+import RestTimerBar from '../client/components/rest-timer-bar';
 import ErrorPage from '../client/pages/error';
 import AuthPage from '../client/pages/auth';
 import FrequencyChart from '../client/pages/charts';
+import Calendar from '../client/pages/calendar';
+import WorkoutDetail from '../client/pages/workout-detail';
+import Records from '../client/pages/records';
+import Settings from '../client/pages/settings';
 import AppContext from '../client/lib/app-context';
+import { plateDefaults } from '../client/lib/plate-breakdown';
+import { WORKOUT_ID_EVENT, replayMutations } from '../client/lib/offline-queue';
 import Redirect from '../client/lib/redirect';
+import { saveSession, saveAccessToken, clearSession, getRefreshToken, installTokenRefresh } from '../client/lib/auth-session';
 
 export default function App() {
   const [curRoute, setRoute] = useState(parseRoute(window.location.hash));
   const [user, setUser] = useState(null);
   const [curWorkout, setCurWorkout] = useState(null);
+  const [settings, setSettings] = useState({ weightUnit: 'lb', showPlates: true, plateUnit: 'lb', ...plateDefaults.lb });
+  const [restTimer, setRestTimer] = useState(null);
   const accessToken = window.localStorage.getItem('strive-user-info');
-  const contextValue = { curRoute, user, accessToken, curWorkout, setCurWorkout, handleSignIn, handleSignOut };
+  const contextValue = {
+    curRoute,
+    user,
+    accessToken,
+    curWorkout,
+    setCurWorkout,
+    settings,
+    setSettings,
+    restTimer,
+    setRestTimer,
+    startRestTimer,
+    stopRestTimer,
+    handleSignIn,
+    handleSignOut,
+    handleUserUpdate
+  };
 
   useEffect(() => {
     window.addEventListener('hashchange', () => {
@@ -28,18 +53,82 @@ export default function App() {
     const token = window.localStorage.getItem('strive-user-info');
     const user = token ? jwtDecode(token) : null;
     setUser(user);
+    installTokenRefresh(endSession);
+
+    function handleReplay() {
+      replayMutations().catch(err => console.error('ERROR:', err));
+    }
+    window.addEventListener('online', handleReplay);
+    window.addEventListener(WORKOUT_ID_EVENT, e => {
+      const { tempId, workoutId } = e.detail;
+      setCurWorkout(curWorkout => curWorkout === tempId ? workoutId : curWorkout);
+    });
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', e => {
+        if (e.data === 'replay-mutations') handleReplay();
+      });
+    }
+    if (user) handleReplay();
   }, []);
 
+  useEffect(() => {
+    if (!user) return;
+    fetch('/api/user/settings', {
+      headers: { 'X-Access-Token': window.localStorage.getItem('strive-user-info') }
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (result.weightUnit) setSettings(result);
+      })
+      .catch(err => console.error('ERROR:', err));
+    fetch('/api/user/active-workout', {
+      headers: { 'X-Access-Token': window.localStorage.getItem('strive-user-info') }
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (result.workoutId) setCurWorkout(curWorkout => curWorkout || result.workoutId);
+      })
+      .catch(err => console.error('ERROR:', err));
+  }, [user]);
+
   function handleSignIn(result) {
-    const { user, token } = result;
-    window.localStorage.setItem('strive-user-info', token);
-    setUser(user);
+    saveSession(result);
+    setUser(result.user);
     return <Redirect to='user-profile' />;
   }
 
-  function handleSignOut() {
-    window.localStorage.removeItem('strive-user-info');
+  function handleUserUpdate({ token }) {
+    saveAccessToken(token);
+    setUser(jwtDecode(token));
+  }
+
+  function startRestTimer(restSeconds, exerciseName) {
+    if ('Notification' in window && Notification.permission === 'default') Notification.requestPermission();
+    setRestTimer({ startedAt: Date.now(), stoppedAt: null, restSeconds, exerciseName });
+  }
+
+  function stopRestTimer() {
+    setRestTimer(prevTimer => prevTimer && !prevTimer.stoppedAt ? { ...prevTimer, stoppedAt: Date.now() } : prevTimer);
+  }
+
+  function handleSignOut(allDevices = false) {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      fetch('/api/auth/sign-out', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken, allDevices })
+      })
+        .catch(err => console.error('ERROR:', err));
+    }
+    return endSession();
+  }
+
+  function endSession() {
+    clearSession().catch(err => console.error('ERROR:', err));
     setUser(null);
+    setCurWorkout(null);
+    setRestTimer(null);
     window.location.hash = 'sign-in';
     return <Redirect to='sign-in' />;
   }
@@ -47,7 +136,7 @@ export default function App() {
   function renderRoute() {
     const { path } = curRoute;
     let page = null;
-    if ((path === '' && !user) || path === 'sign-up' || path === 'sign-in') return <AuthPage />;
+    if ((path === '' && !user) || ['sign-up', 'sign-in', 'forgot-password', 'reset-password'].includes(path)) return <AuthPage />;
     if (user) {
       if (path === 'user-profile' || path === '') {
         page = <UserProfile />;
@@ -59,6 +148,14 @@ export default function App() {
         page = <Workout />;
       } else if (path === 'charts') {
         page = <FrequencyChart />;
+      } else if (path === 'calendar') {
+        page = <Calendar />;
+      } else if (path === 'workout-detail') {
+        page = <WorkoutDetail />;
+      } else if (path === 'records') {
+        page = <Records />;
+      } else if (path === 'settings') {
+        page = <Settings />;
       } else {
         return <ErrorPage />;
       }
@@ -68,6 +165,7 @@ export default function App() {
       <>
         <TopNavbar />
         {page}
+        <RestTimerBar />
         <BotNavbar />
       </>
     );
@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useContext } from 'react';
+import AppContext from '../lib/app-context';
+import { sendMutation } from '../lib/offline-queue';
+
+export default function ActiveWorkoutBanner({ note }) {
+  const [activeWorkout, setActiveWorkout] = useState(null);
+  const { accessToken, setCurWorkout, setRestTimer } = useContext(AppContext);
+
+  useEffect(() => {
+    fetch('/api/user/active-workout', {
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (!result.error) setActiveWorkout(result);
+      })
+      .catch(err => console.error('ERROR:', err));
+  }, [accessToken]);
+
+  function resumeWorkout() {
+    setCurWorkout(activeWorkout.workoutId);
+    window.location.hash = activeWorkout.exerciseCount > 0 ? 'workout' : 'exercise-list';
+  }
+
+  function discardWorkout() {
+    sendMutation('/api/user/empty-workouts', { method: 'DELETE' })
+      .then(() => {
+        setActiveWorkout(null);
+        setCurWorkout(null);
+        setRestTimer(null);
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  if (!activeWorkout) return null;
+
+  const startedAt = new Date(activeWorkout.startedAt).toLocaleString('default', {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="w-[95%] min-w-[290px] max-w-[500px] mx-auto mb-6 p-3 bg-black text-white rounded-md shadow-xl text-center">
+      <p className="text-xl font-bold text-priYellow">Workout in progress</p>
+      <p className="text-lg">{`${activeWorkout.workoutName} - started ${startedAt}`}</p>
+      {note && <p className="text-sm text-gray-300 mt-1">{note}</p>}
+      <div className="flex justify-center gap-4 mt-3">
+        <button
+          type="button"
+          onClick={resumeWorkout}
+          className="primary-button h-[40px] w-[40%] max-w-[160px]">Resume workout</button>
+        <button
+          type="button"
+          onClick={discardWorkout}
+          className="h-[40px] w-[40%] max-w-[160px] border border-priRed text-priRed rounded-md hover:bg-priRed hover:text-white">Discard</button>
+      </div>
+    </div>
+  );
+}
@@ -19,6 +19,16 @@ export default function BotNavbar() {
             <img src="images/chart-yellow.png" className="object-contain w-[42px] h-[40px]" />
           </figure>
         </a>
+        <a href="#calendar" className="p-0">
+          <figure className="bg-black">
+            <i className="fa-solid fa-calendar-days fa-2x text-priYellow my-2"></i>
+          </figure>
+        </a>
+        <a href="#records" className="p-0">
+          <figure className="bg-black">
+            <i className="fa-solid fa-trophy fa-2x text-priYellow my-2"></i>
+          </figure>
+        </a>
     </nav>
   );
 }
@@ -0,0 +1,146 @@
+import React, { useState, useContext } from 'react';
+import AppContext from '../lib/app-context';
+import { trackingTypes } from '../lib/tracking-types';
+
+export default function CustomExerciseForm({ exercise, muscleGroups, closeForm, onSaved, onDeleted }) {
+  const [values, setValues] = useState({
+    name: exercise ? exercise.name : '',
+    muscleGroupIds: exercise
+      ? muscleGroups
+        .filter(group => exercise.muscleGroups.includes(group.name))
+        .map(group => group.muscleGroupId)
+      : [],
+    equipment: exercise && exercise.equipment ? exercise.equipment : '',
+    trackingType: exercise ? exercise.trackingType : 'weightReps'
+  });
+  const [errorMessage, setErrorMessage] = useState(null);
+  const { accessToken } = useContext(AppContext);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setValues({ ...values, [name]: value });
+  }
+
+  function toggleMuscleGroup(muscleGroupId) {
+    const { muscleGroupIds } = values;
+    const updatedIds = muscleGroupIds.includes(muscleGroupId)
+      ? muscleGroupIds.filter(id => id !== muscleGroupId)
+      : [...muscleGroupIds, muscleGroupId];
+    setValues({ ...values, muscleGroupIds: updatedIds });
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (values.muscleGroupIds.length === 0) {
+      setErrorMessage('Select at least one muscle group.');
+      return;
+    }
+    const url = exercise ? `/api/exercises/${exercise.exerciseId}` : '/api/exercises';
+    fetch(url, {
+      method: exercise ? 'PATCH' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Access-Token': accessToken
+      },
+      body: JSON.stringify(values)
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (result.error) {
+          setErrorMessage(result.error);
+          return;
+        }
+        onSaved(result);
+        closeForm();
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  function handleDelete() {
+    fetch(`/api/exercises/${exercise.exerciseId}`, {
+      method: 'DELETE',
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(response => {
+        if (response.status === 204) {
+          onDeleted(exercise.exerciseId);
+          closeForm();
+          return;
+        }
+        return response.json()
+          .then(result => setErrorMessage(result.error));
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  return (
+    <div className="z-30 fixed top-0 left-0 h-full w-full">
+      <div
+        className="absolute w-full h-full bg-modalGrey"
+        onClick={closeForm} />
+      <form
+        onSubmit={handleSubmit}
+        className="absolute w-[340px] md:w-[400px] bg-white p-4 left-0 right-0 top-[100px] mx-auto rounded-md flex flex-col text-left">
+        <p className="text-2xl text-center mb-4">{exercise ? 'Edit Exercise' : 'New Exercise'}</p>
+        <label htmlFor="customName" className="text-lg">Name</label>
+        <input
+          onChange={handleChange}
+          required={true}
+          type="text"
+          id="customName"
+          name="name"
+          value={values.name}
+          placeholder="Ex. Landmine Press"
+          className="bg-gray-200 rounded-md p-2 mb-3 text-lg" />
+        <p className="text-lg">Muscle Groups</p>
+        <div className="flex flex-wrap gap-2 mb-3">
+          {muscleGroups.map(group =>
+            <button
+              key={group.muscleGroupId}
+              type="button"
+              onClick={() => toggleMuscleGroup(group.muscleGroupId)}
+              className={`px-3 py-1 rounded-full border font-semibold ${values.muscleGroupIds.includes(group.muscleGroupId) ? 'bg-black text-priYellow border-black' : 'bg-white border-gray-400'}`}>
+              {group.name}
+            </button>
+          )}
+        </div>
+        <label htmlFor="customEquipment" className="text-lg">Equipment</label>
+        <input
+          onChange={handleChange}
+          type="text"
+          id="customEquipment"
+          name="equipment"
+          value={values.equipment}
+          placeholder="Optional"
+          className="bg-gray-200 rounded-md p-2 mb-3 text-lg" />
+        <label htmlFor="customTrackingType" className="text-lg">Track</label>
+        <select
+          onChange={handleChange}
+          id="customTrackingType"
+          name="trackingType"
+          value={values.trackingType}
+          className="bg-gray-200 rounded-md p-2 mb-3 text-lg">
+          {trackingTypes.map(type =>
+            <option key={type.value} value={type.value}>{type.label}</option>
+          )}
+        </select>
+        {errorMessage && <p className="text-priRed font-bold mb-2">{errorMessage}</p>}
+        <div className="flex justify-evenly">
+          <button
+            type="submit"
+            className="primary-button h-[40px] w-[40%]">Save</button>
+          {exercise
+            ? <button
+                type="button"
+                onClick={handleDelete}
+                className="h-[40px] w-[40%] border border-priRed text-priRed rounded-md shadow-xl hover:bg-priRed hover:text-white">Delete</button>
+            : <button
+                type="button"
+                onClick={closeForm}
+                className="h-[40px] w-[40%] border border-gray-300 rounded-md shadow-xl">Cancel</button>
+          }
+        </div>
+      </form>
+    </div>
+  );
+}
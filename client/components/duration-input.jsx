@@ -0,0 +1,24 @@
+import React, { useState, useEffect } from 'react';
+import { formatClock, parseClock } from '../lib/format-duration';
+
+export default function DurationInput({ seconds, onChange, ...inputProps }) {
+  const [text, setText] = useState(seconds ? formatClock(seconds) : '');
+
+  useEffect(() => {
+    setText(curText => parseClock(curText) === (seconds || null) ? curText : (seconds ? formatClock(seconds) : ''));
+  }, [seconds]);
+
+  function handleChange(e) {
+    setText(e.target.value);
+    onChange(parseClock(e.target.value));
+  }
+
+  return (
+    <input
+      type="text"
+      placeholder="m:ss"
+      value={text}
+      onChange={handleChange}
+      {...inputProps} />
+  );
+}
@@ -1,17 +1,41 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
+import AppContext from '../lib/app-context';
 import LoadingRing from '../components/loading-ring';
+import findNewRecords from '../lib/personal-records';
+import getPlateBreakdown from '../lib/plate-breakdown';
+import { formatClock } from '../lib/format-duration';
+import { sendMutation } from '../lib/offline-queue';
+import groupExercises, { getGroupLabel } from '../lib/group-exercises';
+import { setTypes, rpeOptions, rirOptions, getSetLabel, formatEffort } from '../lib/set-types';
+import { hasMeasurement, formatSet, getColumnLabels } from '../lib/tracking-types';
+import DurationInput from './duration-input';
 
-function Set({ exercise, setExercise, setIndex, setOrder, isDone, updateWorkout }) {
+const restOptions = [30, 45, 60, 90, 120, 150, 180, 240, 300];
+
+function Set({ exercise, setExercise, setIndex, setOrder, isDone, updateWorkout, record, focusNextSet }) {
+  const [detailsIsOpen, setDetailsIsOpen] = useState(false);
+  const { settings, restTimer, startRestTimer } = useContext(AppContext);
+
+  function getRestTaken() {
+    if (!restTimer) return null;
+    const restSeconds = Math.round(((restTimer.stoppedAt || Date.now()) - restTimer.startedAt) / 1000);
+    return restSeconds <= 3600 ? restSeconds : null;
+  }
 
   function toggleSetDone() {
-    if (exercise.sets[setIndex].reps === 0 || exercise.sets[setIndex].reps === null) return;
+    if (!hasMeasurement(exercise.sets[setIndex], exercise.trackingType)) return;
+    const isDone = !exercise.sets[setIndex].isDone;
+    const restSeconds = isDone ? getRestTaken() : null;
     const updatedSets = exercise.sets.map((s, i) => {
       if (i === setIndex) {
-        return { ...s, isDone: !exercise.sets[setIndex].isDone };
+        return { ...s, isDone, restSeconds };
       }
       return s;
     });
     setExercise({ ...exercise, sets: updatedSets });
+    if (!isDone) return;
+    startRestTimer(exercise.restSeconds || 90, exercise.name);
+    focusNextSet(updatedSets);
   }
 
   function repsChange(e) {
@@ -24,7 +48,48 @@ function Set({ exercise, setExercise, setIndex, setOrder, isDone, updateWorkout
 
   function weightChange(e) {
     const updatedSets = exercise.sets.map((s, i) => {
-      if (i === setIndex) return { ...s, weight: Math.round((e.target.value * 10) / 10) };
+      if (i === setIndex) return { ...s, weight: Math.round(e.target.value * 10) / 10 };
+      return s;
+    });
+    setExercise({ ...exercise, sets: updatedSets });
+  }
+
+  function distanceChange(e) {
+    updateDetails({ distance: e.target.value === '' ? null : Number(e.target.value) });
+  }
+
+  function updateDetails(details) {
+    const updatedSets = exercise.sets.map((s, i) => {
+      if (i === setIndex) return { ...s, ...details };
+      return s;
+    });
+    setExercise({ ...exercise, sets: updatedSets });
+  }
+
+  function setNotesChange(e) {
+    updateDetails({ notes: e.target.value });
+  }
+
+  function effortChange(e) {
+    const { name, value } = e.target;
+    const effort = { rpe: null, rir: null };
+    if (value !== '') effort[name] = Number(value);
+    updateDetails(effort);
+  }
+
+  function acceptPrevious() {
+    const { previous } = exercise.sets[setIndex];
+    if (!previous || exercise.sets[setIndex].isDone) return;
+    const updatedSets = exercise.sets.map((s, i) => {
+      if (i === setIndex) {
+        return {
+          ...s,
+          reps: previous.reps,
+          weight: previous.weight || 0,
+          durationSeconds: previous.durationSeconds,
+          distance: previous.distance
+        };
+      }
       return s;
     });
     setExercise({ ...exercise, sets: updatedSets });
@@ -35,53 +100,205 @@ function Set({ exercise, setExercise, setIndex, setOrder, isDone, updateWorkout
     updateWorkout();
   }
 
+  function getNewRecords() {
+    if (!isDone) return [];
+    const earlierSets = exercise.sets.filter((s, i) => i < setIndex && s.isDone);
+    return findNewRecords(exercise.sets[setIndex], record, earlierSets, exercise.trackingType);
+  }
+
+  function getPrevious() {
+    const { previous } = exercise.sets[setIndex];
+    if (!previous) return '-';
+    if (exercise.trackingType && exercise.trackingType !== 'weightReps') {
+      return formatSet(previous, exercise.trackingType, settings.weightUnit);
+    }
+    return `${previous.reps} x ${previous.weight === null ? 0 : previous.weight}`;
+  }
+
+  function getFields() {
+    const { trackingType } = exercise;
+    const reps = { key: 'reps', min: '1', onChange: repsChange };
+    const weight = { key: 'weight', min: trackingType === 'bodyweightReps' ? undefined : '0', onChange: weightChange };
+    const distance = { key: 'distance', min: '0', step: 'any', onChange: distanceChange };
+    const duration = { key: 'durationSeconds' };
+    if (trackingType === 'duration') return [duration];
+    if (trackingType === 'distanceTime') return [distance, duration];
+    return [reps, weight];
+  }
+
+  function getPlates() {
+    const { weight } = exercise.sets[setIndex];
+    if (!settings.showPlates || exercise.equipment !== 'Barbell' || !weight || isDone) return null;
+    if (exercise.trackingType && exercise.trackingType !== 'weightReps') return null;
+    const breakdown = getPlateBreakdown(weight, settings.weightUnit, settings);
+    if (!breakdown) return 'Lighter than the bar';
+    if (breakdown.perSide.length === 0 && breakdown.remainder === 0) return 'Empty bar';
+    const plates = breakdown.perSide.length === 0 ? 'No plates' : `Per side: ${breakdown.perSide.join(', ')}`;
+    if (breakdown.remainder === 0) return plates;
+    return `${plates} (${breakdown.remainder} ${settings.plateUnit} short per side)`;
+  }
+
+  const newRecords = getNewRecords();
+  const plates = getPlates();
+  const set = exercise.sets[setIndex];
+  const effort = formatEffort(set);
+
   return (
-    <form onSubmit={handleSubmit}
-      className="h-[45px] mb-1 text-center flex justify-between items-center content-start">
-      <p className="mx-2 text-2xl w-[28px] font-bold">{setOrder}</p>
-      {!exercise.sets[setIndex].isDone
-        ? <input
-          required={true}
-          type="number"
-          min="1"
-          value={exercise.sets[setIndex].reps}
-          onChange={repsChange}
-          className="w-[50px] md:w-[90px] h-[40px] rounded-md border-0 text-center text-2xl py-1 mx-2 bg-gray-100" />
-        : <p className="min-w-[50px] md:min-w-[90px] h-[40px] text-2xl py-1 mx-2">{exercise.sets[setIndex].reps}</p>}
-      {!exercise.sets[setIndex].isDone
-        ? <input
-          type="number"
-          min="0"
-          value={exercise.sets[setIndex].weight}
-          onChange={weightChange}
-          className="w-[50px] md:w-[90px] h-[40px] rounded-md border-0 text-center text-2xl py-1 mx-2 bg-gray-100" />
-        : <p className="min-w-[50px] md:min-w-[90px] h-[40px] text-2xl py-1 mx-2">{exercise.sets[setIndex].weight}</p>
+    <>
+      <form onSubmit={handleSubmit}
+        className="h-[45px] mb-1 text-center flex justify-between items-center content-start">
+        <button
+          type="button"
+          aria-label="Set type and effort"
+          onClick={() => setDetailsIsOpen(!detailsIsOpen)}
+          className={`mx-2 text-2xl w-[28px] font-bold ${set.setType && set.setType !== 'working' ? 'text-priRed' : ''}`}>
+          {getSetLabel(set, setOrder)}
+        </button>
+        <button
+          type="button"
+          onClick={acceptPrevious}
+          className="w-[70px] md:w-[90px] text-gray-400 hover:text-black truncate">
+          {getPrevious()}
+        </button>
+        {getFields().map((field, index) => {
+          const id = index === 0 ? `reps-${exercise.exerciseId}-${setIndex}` : undefined;
+          const inputClass = 'w-[50px] md:w-[90px] h-[40px] rounded-md border-0 text-center text-2xl py-1 mx-2 bg-gray-100';
+          if (set.isDone) {
+            return (
+              <p key={field.key} className="min-w-[50px] md:min-w-[90px] h-[40px] text-2xl py-1 mx-2">
+                {field.key === 'durationSeconds' ? formatClock(set.durationSeconds || 0) : set[field.key]}
+              </p>
+            );
+          }
+          if (field.key === 'durationSeconds') {
+            return (
+              <DurationInput
+                key={field.key}
+                id={id}
+                required={index === 0}
+                seconds={set.durationSeconds}
+                onChange={durationSeconds => updateDetails({ durationSeconds })}
+                className={inputClass} />
+            );
+          }
+          return (
+            <input
+              key={field.key}
+              id={id}
+              required={index === 0}
+              type="number"
+              min={field.min}
+              step={field.step}
+              placeholder={field.min === undefined ? '+/-' : undefined}
+              value={set[field.key] === null || set[field.key] === undefined ? '' : set[field.key]}
+              onChange={field.onChange}
+              className={inputClass} />
+          );
+        })}
+        <button
+          href="#"
+          onClick={toggleSetDone}
+          className="cursor-pointer border-0 bg-white w-[72px] mx-2"
+          type="submit">
+          <i className={`fa-solid fa-check fa-2x mx-4 ${exercise.sets[setIndex].isDone && 'text-amber-400'}`}></i></button>
+      </form>
+      {detailsIsOpen &&
+        <div className="mx-2 mb-2 p-2 bg-gray-100 rounded-md">
+          <div className="flex flex-wrap justify-center gap-1">
+            {setTypes.map(type =>
+              <button
+                key={type.value}
+                type="button"
+                onClick={() => updateDetails({ setType: type.value })}
+                className={`px-2 py-1 rounded-md border ${(set.setType || 'working') === type.value ? 'bg-black text-priYellow border-black' : 'bg-white border-gray-300'}`}>
+                {type.label}
+              </button>
+            )}
+          </div>
+          <div className="mt-2 flex justify-center gap-3">
+            <label>
+              RPE
+              <select
+                name="rpe"
+                value={set.rpe === null || set.rpe === undefined ? '' : set.rpe}
+                onChange={effortChange}
+                className="ml-1 bg-white rounded-md px-1">
+                <option value="">-</option>
+                {rpeOptions.map(rpe => <option key={rpe} value={rpe}>{rpe}</option>)}
+              </select>
+            </label>
+            <label>
+              RIR
+              <select
+                name="rir"
+                value={set.rir === null || set.rir === undefined ? '' : set.rir}
+                onChange={effortChange}
+                className="ml-1 bg-white rounded-md px-1">
+                <option value="">-</option>
+                {rirOptions.map(rir => <option key={rir} value={rir}>{rir}</option>)}
+              </select>
+            </label>
+          </div>
+          <input
+            type="text"
+            value={set.notes || ''}
+            onChange={setNotesChange}
+            maxLength={1000}
+            placeholder="Set note"
+            className="block w-full mt-2 px-2 py-1 bg-white rounded-md" />
+        </div>
+      }
+      {set.notes && !detailsIsOpen &&
+        <p className="-mt-1 mb-1 text-sm text-gray-500 italic">
+          <i className="fa-solid fa-note-sticky mr-1"></i>
+          {set.notes}
+        </p>
+      }
+      {effort && !detailsIsOpen &&
+        <p className="-mt-1 mb-1 text-sm text-gray-500">
+          <i className="fa-solid fa-gauge-high mr-1"></i>
+          {effort}
+        </p>
+      }
+      {plates &&
+        <p className="-mt-1 mb-1 text-sm text-gray-500">
+          <i className="fa-solid fa-weight-hanging mr-1"></i>
+          {plates}
+        </p>
       }
-      <button
-        href="#"
-        onClick={toggleSetDone}
-        className="cursor-pointer border-0 bg-white w-[72px] mx-2"
-        type="submit">
-        <i className={`fa-solid fa-check fa-2x mx-4 ${exercise.sets[setIndex].isDone && 'text-amber-400'}`}></i></button>
-    </form>
+      {newRecords.length > 0 &&
+        <p className="-mt-1 mb-1 text-sm font-bold text-priRed">
+          <i className="fa-solid fa-trophy mr-1"></i>
+          {`New PR: ${newRecords.join(', ')}`}
+        </p>
+      }
+    </>
   );
 }
 
-function Exercise({ exer, workout, setWorkout, deleteExercise, setExerToReplace, toggleReplaceModal }) {
+function Exercise({ exer, workout, setWorkout, deleteExercise, setExerToReplace, toggleReplaceModal, record, nextExerciseId, groupWithNext, leaveGroup, removeExercise, dragHandleProps, isDragging, isDropTarget }) {
   const [exercise, setExercise] = useState(exer);
-  const [setCount, changeSetCount] = useState(2);
+  const [setCount, changeSetCount] = useState(exer.sets.length + 1);
   const [exerOptionsIsOpen, setExerOptionsIsOpen] = useState(false);
+  const { settings } = useContext(AppContext);
   const exerciseId = exer.exerciseId;
 
+  useEffect(() => {
+    setWorkout(prevWorkout => ({
+      ...prevWorkout,
+      exercises: prevWorkout.exercises.map(e => e.exerciseId === exerciseId ? { ...exercise, supersetGroup: e.supersetGroup } : e)
+    }));
+  }, [exercise, exerciseId, setWorkout]);
+
   function markAllDone() {
     const updatedSets = exercise.sets.map(s => {
-      if (s.reps !== 0 && s.reps !== null) return { ...s, isDone: true };
+      if (hasMeasurement(s, exercise.trackingType)) return { ...s, isDone: true };
       return s;
     });
     const updatedExercise = { ...exercise, sets: updatedSets };
     setExercise(updatedExercise);
     const updatedAllExercises = workout.exercises.map(e => {
-      if (e.exerciseId === exerciseId) return updatedExercise;
+      if (e.exerciseId === exerciseId) return { ...updatedExercise, supersetGroup: e.supersetGroup };
       return e;
     });
     setWorkout({ ...workout, exercises: updatedAllExercises });
@@ -89,23 +306,68 @@ function Exercise({ exer, workout, setWorkout, deleteExercise, setExerToReplace,
 
   function addNewSet() {
     const updatedSets = exercise.sets;
-    updatedSets.push({ reps: 0, setOrder: setCount, weight: 0, isDone: false });
+    updatedSets.push({ reps: 0, setOrder: setCount, weight: 0, isDone: false, setType: 'working' });
     setExercise({ ...exercise, sets: updatedSets });
     changeSetCount(prevCount => prevCount + 1);
   }
 
+  function notesChange(e) {
+    setExercise({ ...exercise, exerciseNotes: e.target.value });
+  }
+
+  function changeRestTime(e) {
+    const restSeconds = Number(e.target.value);
+    setExercise({ ...exercise, restSeconds });
+    sendMutation(`/api/user/exercises/${exerciseId}/rest-time`, {
+      method: 'PUT',
+      body: { restSeconds },
+      coalesce: true
+    })
+      .catch(err => console.error('ERROR:', err));
+  }
+
   function openOptions() {
     setExerOptionsIsOpen(curExerOptionsIsOpen => !curExerOptionsIsOpen);
   }
 
   function updateWorkout() {
     const updatedExercises = workout.exercises.map(e => {
-      if (e.exerciseId === exerciseId) return exercise;
+      if (e.exerciseId === exerciseId) return { ...exercise, supersetGroup: e.supersetGroup };
       return e;
     });
     setWorkout({ ...workout, exercises: updatedExercises });
   }
 
+  function focusNextSet(updatedSets) {
+    const members = exer.supersetGroup
+      ? workout.exercises.filter(e => e.supersetGroup === exer.supersetGroup)
+      : [exer];
+    const position = members.findIndex(e => e.exerciseId === exerciseId);
+    const candidates = [...members.slice(position + 1), ...members.slice(0, position + 1)];
+    for (const candidate of candidates) {
+      const sets = candidate.exerciseId === exerciseId ? updatedSets : candidate.sets;
+      const nextIndex = sets.findIndex(s => !s.isDone);
+      if (nextIndex === -1) continue;
+      setTimeout(() => {
+        const input = document.getElementById(`reps-${candidate.exerciseId}-${nextIndex}`);
+        if (!input) return;
+        input.focus();
+        input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }, 0);
+      return;
+    }
+  }
+
+  function handleGroupWithNext() {
+    setExerOptionsIsOpen(false);
+    groupWithNext(exerciseId);
+  }
+
+  function handleLeaveGroup() {
+    setExerOptionsIsOpen(false);
+    leaveGroup(exerciseId);
+  }
+
   function replaceExercise() {
     setExerOptionsIsOpen(false);
     setExerToReplace({ exerciseId, name: exercise.name });
@@ -113,40 +375,77 @@ function Exercise({ exer, workout, setWorkout, deleteExercise, setExerToReplace,
   }
 
   function confirmDelete() {
-    const updatedWorkoutExercises = workout.exercises.filter(exercise =>
-      exercise.exerciseId !== exerciseId
-    );
-    const finalWorkout = { ...workout, exercises: updatedWorkoutExercises };
     deleteExercise([exerciseId]);
-    setWorkout(finalWorkout);
+    removeExercise(exerciseId);
     setExerOptionsIsOpen(false);
   }
 
   return (
-    <div className="w-[98%] min-w-[270px] max-w-[500px] rounded-md shadow-xl mb-5 mx-auto">
+    <div
+      data-exercise-id={exerciseId}
+      className={`w-[98%] min-w-[270px] max-w-[500px] rounded-md shadow-xl mb-5 mx-auto ${isDragging ? 'opacity-50' : ''} ${isDropTarget ? 'ring-4 ring-priYellow' : ''}`}>
       <div className="relative bg-black rounded-t-md">
-        <h3 className="font-semibold text-2xl text-priYellow py-2 justify-center">
+        <button type="button" aria-label="Drag to reorder"
+          className="absolute left-0 bottom-0 py-3 px-4 border-0 touch-none cursor-grab"
+          {...dragHandleProps}>
+          <i className="fa-solid fa-grip-vertical fa-xl text-priYellow" />
+        </button>
+        <h3 className="font-semibold text-2xl text-priYellow py-2 px-12 justify-center truncate">
           {exer.name}</h3>
         <button type="button" className="absolute right-0 bottom-0 py-3 px-4 border-0 is-large rounded-t-md has-background-black"
           onClick={openOptions}>
           <i className="fa-solid fa-ellipsis-vertical fa-xl text-priYellow" />
         </button>
-        <div className={`absolute right-0 -bottom-[81px] border border-black rounded-b-md flex-col ${!exerOptionsIsOpen ? 'hidden' : 'flex'}`}>
+        <div className={`z-10 absolute right-0 top-full border border-black rounded-b-md flex-col ${!exerOptionsIsOpen ? 'hidden' : 'flex'}`}>
           <button type="button"
             className='bg-white p-2 font-bold hover:bg-gray-200'
             onClick={replaceExercise}>
             Replace
           </button>
+          {nextExerciseId &&
+            <button type="button"
+              className='bg-white p-2 font-bold hover:bg-gray-200'
+              onClick={handleGroupWithNext}>
+              Superset with next
+            </button>
+          }
+          {exer.supersetGroup &&
+            <button type="button"
+              className='bg-white p-2 font-bold hover:bg-gray-200'
+              onClick={handleLeaveGroup}>
+              Remove from superset
+            </button>
+          }
           <button type="button"
             className='p-2 text-priRed bg-white font-bold rounded-b-md hover:bg-priRed hover:text-white'
             onClick={confirmDelete}>Delete</button>
         </div>
       </div>
+      <textarea
+        onChange={notesChange}
+        value={exercise.exerciseNotes || ''}
+        maxLength={1000}
+        rows={1}
+        placeholder="Exercise notes"
+        className="block w-[95%] mx-auto mt-2 p-2 bg-gray-100 rounded-md text-sm" />
+      <label className="flex justify-end items-center gap-2 px-3 pt-2 text-gray-500">
+        <i className="fa-solid fa-stopwatch"></i>
+        <select
+          value={exercise.restSeconds || 90}
+          onChange={changeRestTime}
+          className="bg-gray-100 rounded-md px-1">
+          {restOptions.map(seconds =>
+            <option key={seconds} value={seconds}>{`${formatClock(seconds)} rest`}</option>
+          )}
+        </select>
+      </label>
       <div className="px-1 pt-3 pb-0">
         <div className="mb-4 text-center flex justify-between content-start">
           <p className="mx-2 inline text-lg font-semibold">Set</p>
-          <p className="mx-2 inline text-lg font-semibold">Reps</p>
-          <p className="mx-2 inline text-lg font-semibold">Weight</p>
+          <p className="mx-2 inline text-lg font-semibold">Previous</p>
+          {getColumnLabels(exercise.trackingType, settings.weightUnit).map(label =>
+            <p key={label} className="mx-2 inline text-lg font-semibold">{label}</p>
+          )}
           <button
             type="button"
             onClick={markAllDone}
@@ -160,7 +459,9 @@ function Exercise({ exer, workout, setWorkout, deleteExercise, setExerToReplace,
             setIndex={index}
             setOrder={set.setOrder}
             isDone={set.isDone}
-            updateWorkout={updateWorkout} />
+            updateWorkout={updateWorkout}
+            record={record}
+            focusNextSet={focusNextSet} />
         )}
       </div>
       <div>
@@ -172,22 +473,172 @@ function Exercise({ exer, workout, setWorkout, deleteExercise, setExerToReplace,
   );
 }
 
-export default function EditWorkout({ workout, setWorkout, replaceModalIsOpen, toggleReplaceModal, setExerToReplace, deleteExercise }) {
+export default function EditWorkout({ workout, setWorkout, replaceModalIsOpen, toggleReplaceModal, setExerToReplace, deleteExercise, records }) {
+  const [drag, setDrag] = useState(null);
+
+  function saveGroups(exercises) {
+    const counts = {};
+    exercises.forEach(e => {
+      if (e.supersetGroup) counts[e.supersetGroup] = (counts[e.supersetGroup] || 0) + 1;
+    });
+    const renumbered = {};
+    const updatedExercises = exercises.map(e => {
+      if (!e.supersetGroup || counts[e.supersetGroup] < 2) return { ...e, supersetGroup: null };
+      if (!renumbered[e.supersetGroup]) renumbered[e.supersetGroup] = Object.keys(renumbered).length + 1;
+      return { ...e, supersetGroup: renumbered[e.supersetGroup] };
+    });
+    setWorkout({ ...workout, exercises: groupExercises(updatedExercises).flatMap(group => group.exercises) });
+    sendMutation(`/api/workout/${workout.workoutId}/supersets`, {
+      method: 'PATCH',
+      body: {
+        exercises: updatedExercises.map(({ exerciseId, supersetGroup }) => ({ exerciseId, supersetGroup }))
+      },
+      workoutId: workout.workoutId,
+      coalesce: true
+    })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  function groupWithNext(exerciseId) {
+    const ordered = groupExercises(workout.exercises).flatMap(group => group.exercises);
+    const index = ordered.findIndex(e => e.exerciseId === exerciseId);
+    const current = ordered[index];
+    const next = ordered[index + 1];
+    if (!next) return;
+    const newGroup = Math.max(0, ...workout.exercises.map(e => e.supersetGroup || 0)) + 1;
+    const group = current.supersetGroup || next.supersetGroup || newGroup;
+    saveGroups(workout.exercises.map(e => {
+      const joinsGroup = e.exerciseId === current.exerciseId ||
+        e.exerciseId === next.exerciseId ||
+        (next.supersetGroup && e.supersetGroup === next.supersetGroup);
+      return joinsGroup ? { ...e, supersetGroup: group } : e;
+    }));
+  }
+
+  function leaveGroup(exerciseId) {
+    saveGroups(workout.exercises.map(e => e.exerciseId === exerciseId ? { ...e, supersetGroup: null } : e));
+  }
+
+  function removeExercise(exerciseId) {
+    const remaining = workout.exercises.filter(e => e.exerciseId !== exerciseId);
+    const removed = workout.exercises.find(e => e.exerciseId === exerciseId);
+    if (removed && removed.supersetGroup) {
+      saveGroups(remaining);
+      return;
+    }
+    setWorkout({ ...workout, exercises: remaining });
+  }
+
+  function saveOrder(exercises) {
+    setWorkout({ ...workout, exercises });
+    sendMutation(`/api/workout/${workout.workoutId}/exercise-order`, {
+      method: 'PUT',
+      body: { exerciseIds: exercises.map(e => e.exerciseId) },
+      workoutId: workout.workoutId,
+      coalesce: true
+    })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  // Dropping onto another member of the same superset reorders inside it;
+  // otherwise the whole superset (or single exercise) moves as one block.
+  function moveExercise(exerciseId, targetId) {
+    if (exerciseId === targetId) return;
+    const blocks = groupExercises(workout.exercises);
+    const ordered = blocks.flatMap(group => group.exercises);
+    const moving = ordered.find(e => e.exerciseId === exerciseId);
+    const target = ordered.find(e => e.exerciseId === targetId);
+    if (!moving || !target) return;
+    const moveItem = (items, from, to) => {
+      const updated = [...items];
+      const [item] = updated.splice(from, 1);
+      updated.splice(to, 0, item);
+      return updated;
+    };
+    if (moving.supersetGroup && moving.supersetGroup === target.supersetGroup) {
+      saveOrder(moveItem(ordered, ordered.indexOf(moving), ordered.indexOf(target)));
+      return;
+    }
+    const findBlock = exer => blocks.findIndex(group => group.exercises.includes(exer));
+    saveOrder(moveItem(blocks, findBlock(moving), findBlock(target)).flatMap(group => group.exercises));
+  }
+
+  function startDrag(exerciseId, e) {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ exerciseId, overId: exerciseId });
+  }
+
+  function moveDrag(e) {
+    if (!drag) return;
+    if (e.clientY < 80) window.scrollBy(0, -15);
+    if (e.clientY > window.innerHeight - 80) window.scrollBy(0, 15);
+    const element = document.elementFromPoint(e.clientX, e.clientY);
+    const card = element && element.closest('[data-exercise-id]');
+    if (card) setDrag({ ...drag, overId: Number(card.dataset.exerciseId) });
+  }
+
+  function endDrag() {
+    if (!drag) return;
+    moveExercise(drag.exerciseId, drag.overId);
+    setDrag(null);
+  }
+
+  function renderExercise(exer, nextExerciseId) {
+    return (
+      <Exercise
+        key={exer.exerciseId}
+        exer={exer}
+        workout={workout}
+        setWorkout={setWorkout}
+        deleteExercise={deleteExercise}
+        setExerToReplace={setExerToReplace}
+        toggleReplaceModal={toggleReplaceModal}
+        record={records && records.find(record => record.exerciseId === exer.exerciseId)}
+        nextExerciseId={nextExerciseId}
+        groupWithNext={groupWithNext}
+        leaveGroup={leaveGroup}
+        removeExercise={removeExercise}
+        dragHandleProps={{
+          onPointerDown: e => startDrag(exer.exerciseId, e),
+          onPointerMove: moveDrag,
+          onPointerUp: endDrag,
+          onPointerCancel: () => setDrag(null)
+        }}
+        isDragging={drag !== null && drag.exerciseId === exer.exerciseId}
+        isDropTarget={drag !== null && drag.overId === exer.exerciseId && drag.exerciseId !== exer.exerciseId} />
+    );
+  }
+
+  if (!workout) {
+    return (
+      <div className='mt-5 flex items-center justify-center flex-col'>
+        <LoadingRing />
+      </div>
+    );
+  }
+
+  const groups = groupExercises(workout.exercises);
+  const ordered = groups.flatMap(group => group.exercises);
+  const getNextId = exer => {
+    const next = ordered[ordered.indexOf(exer) + 1];
+    return next ? next.exerciseId : null;
+  };
 
   return (
     <div className='mt-5 flex items-center justify-center flex-col'>
-      {!workout
-        ? <LoadingRing />
-        : workout.exercises.map(exer =>
-          <Exercise
-            key={exer.exerciseId}
-            exer={exer}
-            workout={workout}
-            setWorkout={setWorkout}
-            deleteExercise={deleteExercise}
-            setExerToReplace={setExerToReplace}
-            toggleReplaceModal={toggleReplaceModal} />
-        )}
+      {groups.map(group => group.supersetGroup
+        ? <div
+          key={`group-${group.supersetGroup}`}
+          className="w-[98%] min-w-[270px] max-w-[510px] mb-5 pl-2 border-l-4 border-priYellow">
+          <p className="mb-2 text-left text-lg font-bold">
+            <i className="fa-solid fa-link mr-2"></i>
+            {getGroupLabel(group)}
+          </p>
+          {group.exercises.map(exer => renderExercise(exer, getNextId(exer)))}
+        </div>
+        : renderExercise(group.exercises[0], getNextId(group.exercises[0]))
+      )}
     </div>
   );
 }
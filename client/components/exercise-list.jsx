@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useContext } from 'react';
 import AppContext from '../lib/app-context';
 import LoadingRing from '../components/loading-ring';
+import CustomExerciseForm from '../components/custom-exercise-form';
 
 function AlphabetButtons({ letter }) {
 
@@ -14,7 +15,7 @@ function AlphabetButtons({ letter }) {
   );
 }
 
-function ExerciseCard({ name, selectedExercises, setSelectedExercises, clearAll, clearExercises, equipment, exerciseId, isSingleExercise }) {
+function ExerciseCard({ name, selectedExercises, setSelectedExercises, clearAll, clearExercises, equipment, trackingType, exerciseId, isSingleExercise, isCustom, editExercise }) {
   const [isSelected, setSelected] = useState(false);
 
   useEffect(() => {
@@ -42,14 +43,32 @@ function ExerciseCard({ name, selectedExercises, setSelectedExercises, clearAll,
     }
   }
 
+  function handleEdit(e) {
+    e.stopPropagation();
+    editExercise(exerciseId);
+  }
+
+  function renderCustomMarker() {
+    if (!isCustom) return null;
+    return (
+      <button
+        type="button"
+        onClick={handleEdit}
+        className="absolute left-[8px] top-[5px] text-priGrey hover:text-priRed"
+        aria-label="edit custom exercise">
+        <i className="fa-solid fa-user-pen"></i>
+      </button>
+    );
+  }
+
   function handleClick() {
     if (!isSelected && isSingleExercise) {
       clearExercises();
       setSelected(true);
-      setSelectedExercises([{ exerciseId, name, equipment }]);
+      setSelectedExercises([{ exerciseId, name, equipment, trackingType }]);
     } else if (!isSelected && !isSingleExercise) {
       setSelected(true);
-      setSelectedExercises([...selectedExercises, { exerciseId, name, equipment }]);
+      setSelectedExercises([...selectedExercises, { exerciseId, name, equipment, trackingType }]);
     } else if (isSelected) {
       setSelected(false);
       const updatedSelectedExercises = selectedExercises.filter(exer => exer.exerciseId !== exerciseId);
@@ -61,19 +80,21 @@ function ExerciseCard({ name, selectedExercises, setSelectedExercises, clearAll,
     !isSelected
       ? <a
         onClick={handleClick}
-        className="w-full h-[35px] border border-white bg-gray-200 rounded-md text-center p-1 cursor-pointer">
+        className="relative w-full h-[35px] border border-white bg-gray-200 rounded-md text-center p-1 cursor-pointer">
+        {renderCustomMarker()}
         <p className="inline font-bold">{`${name} ${getEquipment()}`}</p>
       </a>
       : <a
         onClick={handleClick}
         className="relative w-full h-[35px] bg-amber-50 text-center p-1 border border-black rounded-md cursor-pointer">
+        {renderCustomMarker()}
         <p className="inline font-bold">{`${name} ${getEquipment()}`}</p>
         <i className='fa-solid fa-check mr-4 fa-lg absolute top-[16px] right-[5px] text-amber-400'></i>
       </a>
   );
 }
 
-function LetterSection({ letter, allExerciseData, setSelectedExercises, selectedExercises, clearAll, clearExercises, isSingleExercise }) {
+function LetterSection({ letter, allExerciseData, setSelectedExercises, selectedExercises, clearAll, clearExercises, isSingleExercise, editExercise }) {
   const [filteredByLetterExer, setFilteredByLetterExer] = useState(null);
 
   useEffect(() => {
@@ -98,36 +119,68 @@ function LetterSection({ letter, allExerciseData, setSelectedExercises, selected
             exerciseId={exer.exerciseId}
             name={exer.name}
             equipment={exer.equipment}
+            trackingType={exer.trackingType}
             setSelectedExercises={setSelectedExercises}
             selectedExercises={selectedExercises}
             clearAll={clearAll}
             clearExercises={clearExercises}
-            isSingleExercise={isSingleExercise} />
+            isSingleExercise={isSingleExercise}
+            isCustom={exer.isCustom}
+            editExercise={editExercise} />
         )}
       </div>
     </div>
   );
 }
 
+function FilterChip({ label, isActive, toggleFilter }) {
+  return (
+    <button
+      type="button"
+      onClick={toggleFilter}
+      className={`px-3 py-1 rounded-full border font-semibold ${isActive ? 'bg-black text-priYellow border-black' : 'bg-white border-gray-400 hover:bg-gray-200'}`}>
+      {label}
+    </button>
+  );
+}
+
 export default function ExerciseList({ selectedExercises, setSelectedExercises, clearExercises, clearAll, isSingleExercise }) {
   const [allExerciseData, setAllExerciseData] = useState(null);
   const [letters, setLetters] = useState(null);
   const [isLoading, setLoading] = useState(true);
   const [searchValue, setSearchValue] = useState('');
-  const [searchResults, setSearchResult] = useState([]);
+  const [filters, setFilters] = useState({ muscleGroup: [], equipment: [] });
+  const [filterOptions, setFilterOptions] = useState(null);
+  const [customForm, setCustomForm] = useState({ isOpen: false, exercise: null });
   const { accessToken } = useContext(AppContext);
 
   useEffect(() => {
-    fetch('/api/all-exercises', {
+    fetch('/api/exercise-filters', {
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(response => response.json())
+      .then(result => setFilterOptions(result))
+      .catch(err => console.error('ERROR:', err));
+  }, [accessToken]);
+
+  useEffect(() => {
+    let isCurrent = true;
+    const query = new URLSearchParams();
+    filters.muscleGroup.forEach(group => query.append('muscleGroup', group));
+    filters.equipment.forEach(item => query.append('equipment', item));
+    if (searchValue !== '') query.append('q', searchValue);
+    fetch(`/api/all-exercises?${query}`, {
       headers: { 'X-Access-Token': accessToken }
     })
       .then(response => response.json())
       .then(result => {
+        if (!isCurrent) return;
         setAllExerciseData(result);
         setLoading(false);
       })
       .catch(err => console.error('ERROR:', err));
-  }, [accessToken]);
+    return () => { isCurrent = false; };
+  }, [accessToken, filters, searchValue]);
 
   useEffect(() => {
     if (!allExerciseData) return;
@@ -140,13 +193,47 @@ export default function ExerciseList({ selectedExercises, setSelectedExercises,
     setLetters(letters);
   }, [allExerciseData]);
 
+  function sortByName(exercises) {
+    return exercises.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function toggleFilter(type, value) {
+    const current = filters[type];
+    const updated = current.includes(value)
+      ? current.filter(item => item !== value)
+      : [...current, value];
+    setFilters({ ...filters, [type]: updated });
+  }
+
+  function clearFilters() {
+    setFilters({ muscleGroup: [], equipment: [] });
+  }
+
+  function openCustomForm() {
+    setCustomForm({ isOpen: true, exercise: null });
+  }
+
+  function editExercise(exerciseId) {
+    const exercise = allExerciseData.find(exer => exer.exerciseId === exerciseId);
+    setCustomForm({ isOpen: true, exercise });
+  }
+
+  function closeCustomForm() {
+    setCustomForm({ isOpen: false, exercise: null });
+  }
+
+  function handleCustomSaved(savedExercise) {
+    const otherExercises = allExerciseData.filter(exer => exer.exerciseId !== savedExercise.exerciseId);
+    setAllExerciseData(sortByName([...otherExercises, savedExercise]));
+  }
+
+  function handleCustomDeleted(exerciseId) {
+    setAllExerciseData(allExerciseData.filter(exer => exer.exerciseId !== exerciseId));
+    setSelectedExercises(selectedExercises.filter(exer => exer.exerciseId !== exerciseId));
+  }
+
   function handleSearch(e) {
-    const val = e.target.value.toLowerCase();
-    setSearchValue(val);
-    const filteredExercises = allExerciseData.list.filter(exercise => {
-      return exercise.name.toLowerCase().includes(val);
-    });
-    setSearchResult(filteredExercises);
+    setSearchValue(e.target.value.toLowerCase());
   }
 
   return (
@@ -159,6 +246,48 @@ export default function ExerciseList({ selectedExercises, setSelectedExercises,
             type="search"
             className="block w-[95%] md:w-[50%] mx-auto mb-6 py-2 px-4 text-xl bg-gray-200 border border-black rounded-md"
             placeholder="Search exercises..." />
+          {filterOptions &&
+            <div className="w-[95%] md:w-[50%] mx-auto mb-6 flex flex-col gap-2">
+              <div className="flex flex-wrap justify-center gap-2">
+                {filterOptions.muscleGroups.map(group =>
+                  <FilterChip
+                    key={group.muscleGroupId}
+                    label={group.name}
+                    isActive={filters.muscleGroup.includes(group.name)}
+                    toggleFilter={() => toggleFilter('muscleGroup', group.name)} />
+                )}
+              </div>
+              <div className="flex flex-wrap justify-center gap-2">
+                {filterOptions.equipment.map(item =>
+                  <FilterChip
+                    key={item}
+                    label={item}
+                    isActive={filters.equipment.includes(item)}
+                    toggleFilter={() => toggleFilter('equipment', item)} />
+                )}
+              </div>
+              {(filters.muscleGroup.length > 0 || filters.equipment.length > 0) &&
+                <a onClick={clearFilters} className="underline cursor-pointer hover:text-priRed">Clear filters</a>
+              }
+            </div>
+          }
+          <button
+            type="button"
+            onClick={openCustomForm}
+            className="mb-6 px-4 py-1 text-lg font-semibold border border-black rounded-md hover:bg-gray-200">
+            <i className="fa-solid fa-plus mr-2"></i>Create exercise
+          </button>
+          {customForm.isOpen &&
+            <CustomExerciseForm
+              exercise={customForm.exercise}
+              muscleGroups={filterOptions ? filterOptions.muscleGroups : []}
+              closeForm={closeCustomForm}
+              onSaved={handleCustomSaved}
+              onDeleted={handleCustomDeleted} />
+          }
+          {allExerciseData.length === 0 &&
+            <p className="text-lg">No exercises match these filters.</p>
+          }
           {searchValue === ''
             ? <>
               <div className="w-full min-w-[270px] gap-[0.3rem] mb-5 flex flex-wrap justify-center">
@@ -177,21 +306,25 @@ export default function ExerciseList({ selectedExercises, setSelectedExercises,
                     clearAll={clearAll}
                     clearExercises={clearExercises}
                     isSingleExercise={isSingleExercise}
+                    editExercise={editExercise}
                   />
                 )}
               </div>
             </>
             : <div className="md:w-[50%] flex flex-row flex-wrap mx-auto mb-3 gap-2">
-              {searchResults.length !== 0 && searchResults.map(exer =>
+              {allExerciseData.map(exer =>
                 <ExerciseCard
                   key={exer.exerciseId}
                   exerciseId={exer.exerciseId}
                   name={exer.name}
                   equipment={exer.equipment}
+                  trackingType={exer.trackingType}
                   setSelectedExercises={setSelectedExercises}
                   selectedExercises={selectedExercises}
                   clearExercises={clearExercises}
-                  isSingleExercise={isSingleExercise} />
+                  isSingleExercise={isSingleExercise}
+                  isCustom={exer.isCustom}
+                  editExercise={editExercise} />
               )}
             </div>
           }
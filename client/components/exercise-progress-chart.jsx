@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useContext } from 'react';
+import LoadingRing from '../components/loading-ring';
+import AppContext from '../lib/app-context';
+import { getDistanceUnit } from '../lib/tracking-types';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+function toDateInput(date) {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 10);
+}
+
+function monthsAgo(months) {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return toDateInput(date);
+}
+
+const lineColors = [
+  { border: 'rgb(220, 38, 39)', background: 'rgba(220, 38, 39, 0.5)' },
+  { border: 'rgb(74, 74, 74)', background: 'rgba(74, 74, 74, 0.5)' },
+  { border: 'rgb(255, 226, 71)', background: 'rgba(255, 226, 71, 0.75)' }
+];
+
+function getChartConfig(trackingType, weightUnit) {
+  if (trackingType === 'bodyweightReps') {
+    return {
+      axes: { y: 'Reps' },
+      lines: [
+        { label: 'Top Set Reps', axis: 'y', value: session => session.topSetReps },
+        { label: 'Total Reps', axis: 'y', value: session => session.totalReps }
+      ]
+    };
+  }
+  if (trackingType === 'duration') {
+    return {
+      axes: { y: 'Seconds' },
+      lines: [
+        { label: 'Longest Set', axis: 'y', value: session => session.longestDurationSeconds },
+        { label: 'Total Time', axis: 'y', value: session => session.totalDurationSeconds }
+      ]
+    };
+  }
+  if (trackingType === 'distanceTime') {
+    return {
+      axes: { y: `Distance (${getDistanceUnit(weightUnit)})`, y1: 'Minutes' },
+      lines: [
+        { label: 'Total Distance', axis: 'y', value: session => session.totalDistance },
+        { label: 'Total Time', axis: 'y1', value: session => Math.round((session.totalDurationSeconds || 0) / 6) / 10 }
+      ]
+    };
+  }
+  return {
+    axes: { y: `Weight (${weightUnit})`, y1: `Volume (${weightUnit})` },
+    lines: [
+      { label: 'Top Set Weight', axis: 'y', value: session => session.topSetWeight },
+      { label: 'Estimated 1RM', axis: 'y', value: session => Math.round(session.estimatedOneRepMax * 10) / 10 },
+      { label: 'Total Volume', axis: 'y1', value: session => session.totalVolume }
+    ]
+  };
+}
+
+export default function ExerciseProgressChart() {
+  const [exercises, setExercises] = useState(null);
+  const [exerciseId, setExerciseId] = useState('');
+  const [range, setRange] = useState({ from: monthsAgo(3), to: toDateInput(new Date()) });
+  const [sessions, setSessions] = useState(null);
+  const { accessToken, settings } = useContext(AppContext);
+
+  useEffect(() => {
+    fetch('/api/user/records', { headers: { 'X-Access-Token': accessToken } })
+      .then(response => response.json())
+      .then(result => {
+        setExercises(result);
+        if (result.length > 0) setExerciseId(String(result[0].exerciseId));
+      })
+      .catch(err => console.error('ERROR:', err));
+  }, [accessToken]);
+
+  useEffect(() => {
+    if (!exerciseId) return;
+    const query = new URLSearchParams();
+    if (range.from) query.append('from', range.from);
+    if (range.to) query.append('to', range.to);
+    fetch(`/api/user/exercises/${exerciseId}/progress?${query}`, {
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(response => response.json())
+      .then(result => setSessions(result))
+      .catch(err => console.error('ERROR:', err));
+  }, [accessToken, exerciseId, range]);
+
+  function handleRangeChange(e) {
+    const { name, value } = e.target;
+    setRange({ ...range, [name]: value });
+  }
+
+  const exercise = exercises && exercises.find(e => String(e.exerciseId) === exerciseId);
+  const { axes, lines } = getChartConfig(exercise ? exercise.trackingType : 'weightReps', settings.weightUnit);
+
+  const options = {
+    maintainAspectRatio: false,
+    responsive: true,
+    plugins: {
+      title: {
+        display: true,
+        text: 'Exercise Progress'
+      }
+    },
+    scales: {
+      y: {
+        type: 'linear',
+        position: 'left',
+        title: { display: true, text: axes.y }
+      },
+      y1: {
+        type: 'linear',
+        position: 'right',
+        display: Boolean(axes.y1),
+        title: { display: true, text: axes.y1 },
+        grid: { drawOnChartArea: false }
+      }
+    }
+  };
+
+  const chartData = sessions && {
+    labels: sessions.map(session =>
+      new Date(session.completedAt).toLocaleString('default', { day: 'numeric', month: 'short' })
+    ),
+    datasets: lines.map((line, index) => ({
+      label: line.label,
+      borderColor: lineColors[index].border,
+      backgroundColor: lineColors[index].background,
+      yAxisID: line.axis,
+      data: sessions.map(session => line.value(session))
+    }))
+  };
+
+  if (!exercises) return <LoadingRing />;
+  if (exercises.length === 0) {
+    return <p className="text-xl my-5">Complete a workout to see exercise progress.</p>;
+  }
+
+  return (
+    <div className="w-[95%] md:w-[75%] mx-auto my-8">
+      <div className="flex flex-col md:flex-row justify-center items-center gap-3 mb-3">
+        <select
+          value={exerciseId}
+          onChange={e => setExerciseId(e.target.value)}
+          className="bg-gray-200 rounded-md p-2 text-lg">
+          {exercises.map(exercise =>
+            <option key={exercise.exerciseId} value={exercise.exerciseId}>
+              {`${exercise.name}${exercise.equipment === null ? '' : ` (${exercise.equipment})`}`}
+            </option>
+          )}
+        </select>
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            name="from"
+            value={range.from}
+            max={range.to}
+            onChange={handleRangeChange}
+            className="bg-gray-200 rounded-md p-2" />
+          <span>to</span>
+          <input
+            type="date"
+            name="to"
+            value={range.to}
+            min={range.from}
+            onChange={handleRangeChange}
+            className="bg-gray-200 rounded-md p-2" />
+        </div>
+      </div>
+      <div className="min-h-[300px] md:min-h-[400px] p-2 border border-black rounded-md">
+        {!sessions
+          ? <LoadingRing />
+          : sessions.length === 0
+            ? <p className="text-lg mt-10">No sessions in this date range.</p>
+            : <Line options={options} data={chartData} />
+        }
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,13 @@
 import React, { useState, useContext, useRef } from 'react';
 import AppContext from '../lib/app-context';
 import ExerciseList from '../components/exercise-list';
+import { sendMutation } from '../lib/offline-queue';
 
 export default function ReplaceExerciseModal({ replaceModalIsOpen, toggleReplaceModal, exerToReplace, setExerToReplace, setWorkout, workout }) {
   const [selectedExercises, setSelectedExercises] = useState([]);
   const [clearAll, setClearAll] = useState(false);
   const modalRef = useRef();
-  const { accessToken, user, curWorkout: workoutId } = useContext(AppContext);
+  const { user, curWorkout: workoutId } = useContext(AppContext);
 
   function handleReplaceExercise(e) {
     e.preventDefault();
@@ -14,13 +15,10 @@ export default function ReplaceExerciseModal({ replaceModalIsOpen, toggleReplace
       userId: user.userId,
       newExerciseId: selectedExercises[0].exerciseId
     };
-    fetch(`/api/workout/${workoutId}/exercise/${exerToReplace.exerciseId}`, {
+    sendMutation(`/api/workout/${workoutId}/exercise/${exerToReplace.exerciseId}`, {
       method: 'PATCH',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Access-Token': accessToken
-      },
-      body: JSON.stringify(body)
+      body,
+      workoutId
     })
       .then(result => {
         const updatedWorkout = workout.exercises.map(exer => {
@@ -30,7 +28,9 @@ export default function ReplaceExerciseModal({ replaceModalIsOpen, toggleReplace
               ...exer,
               exerciseId: selectedExercises[0].exerciseId,
               name: selectedExercises[0].name,
-              equipment: selectedExercises[0].equipment
+              equipment: selectedExercises[0].equipment,
+              sets: exer.sets.map(({ previous, ...set }) => set),
+              previousSets: []
             };
           } else {
             return exer;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useContext } from 'react';
+import AppContext from '../lib/app-context';
+import { formatClock } from '../lib/format-duration';
+
+function notifyRestOver(exerciseName) {
+  if ('vibrate' in navigator) navigator.vibrate([200, 100, 200]);
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  if (document.visibilityState === 'visible') return;
+  const notification = new Notification('Rest is over', { body: `Time for your next set of ${exerciseName}.` });
+  notification.onclick = () => window.focus();
+}
+
+export default function RestTimerBar() {
+  const [now, setNow] = useState(Date.now());
+  const { restTimer, setRestTimer, stopRestTimer } = useContext(AppContext);
+  const isRunning = restTimer && !restTimer.stoppedAt;
+
+  useEffect(() => {
+    if (!isRunning) return;
+    setNow(Date.now());
+    const intervalId = setInterval(() => setNow(Date.now()), 250);
+    const endsIn = restTimer.startedAt + restTimer.restSeconds * 1000 - Date.now();
+    const timeoutId = endsIn > 0 && setTimeout(() => notifyRestOver(restTimer.exerciseName), endsIn);
+    return () => {
+      clearInterval(intervalId);
+      clearTimeout(timeoutId);
+    };
+  }, [isRunning, restTimer]);
+
+  if (!isRunning) return null;
+
+  const elapsed = Math.max(0, (now - restTimer.startedAt) / 1000);
+  const remaining = restTimer.restSeconds - elapsed;
+  const progress = restTimer.restSeconds > 0 ? Math.min(elapsed / restTimer.restSeconds, 1) : 1;
+
+  function adjustRest(seconds) {
+    setRestTimer({ ...restTimer, restSeconds: Math.max(0, restTimer.restSeconds + seconds) });
+  }
+
+  return (
+    <div className="z-20 fixed bottom-[60px] md:bottom-0 w-full bg-black text-priYellow" role="timer">
+      <div className="h-[4px] bg-gray-600">
+        <div
+          className={`h-full ${remaining > 0 ? 'bg-priYellow' : 'bg-priRed'}`}
+          style={{ width: `${progress * 100}%` }} />
+      </div>
+      <div className="max-w-[500px] mx-auto px-3 py-2 flex justify-between items-center">
+        <button type="button" onClick={() => adjustRest(-15)} className="w-[50px] font-bold">-15s</button>
+        <div className="text-center">
+          <p className="text-sm text-white truncate max-w-[180px]">{restTimer.exerciseName}</p>
+          <p className="text-2xl font-bold">
+            {remaining > 0 ? `Rest ${formatClock(remaining)}` : `Rest over +${formatClock(-remaining)}`}
+          </p>
+        </div>
+        <button type="button" onClick={() => adjustRest(15)} className="w-[50px] font-bold">+15s</button>
+        <button type="button" onClick={stopRestTimer} className="px-3 py-1 border border-priYellow rounded-md font-bold">Skip</button>
+      </div>
+    </div>
+  );
+}
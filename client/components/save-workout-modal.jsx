@@ -1,14 +1,20 @@
-import React, { useContext } from 'react';
+import React, { useState, useContext } from 'react';
 import AppContext from '../lib/app-context';
+import formatDuration from '../lib/format-duration';
+import { sendMutation, removeLocalWorkout, createIdempotencyKey } from '../lib/offline-queue';
+import { isWarmup } from '../lib/set-types';
+import { isWeighted, hasMeasurement } from '../lib/tracking-types';
 
 export default function SaveWorkoutModal({ workout, saveWorkoutModalIsOpen, toggleSaveModal, deleteExercise }) {
-  const { accessToken } = useContext(AppContext);
+  const [saveAsTemplate, setSaveAsTemplate] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [idempotencyKey] = useState(createIdempotencyKey);
+  const { setRestTimer } = useContext(AppContext);
 
   function saveWorkout(e) {
     e.preventDefault();
-    toggleSaveModal();
-    const workoutName = { workoutName: workout.workoutName };
-    const finalWorkout = workout;
+    setSaveError(null);
     const deleteExercises = [];
     const checkExercisesSets = [];
     workout.exercises.forEach(exer => {
@@ -23,7 +29,7 @@ export default function SaveWorkoutModal({ workout, saveWorkoutModalIsOpen, togg
     checkExercisesSets.forEach(exercise => {
       const updatedSets = [];
       exercise.sets.forEach((set, index) => {
-        if (!set.isDone) return;
+        if (!set.isDone || !hasMeasurement(set, exercise.trackingType)) return;
         set.setOrder = index + 1;
         updatedSets.push(set);
       });
@@ -35,56 +41,116 @@ export default function SaveWorkoutModal({ workout, saveWorkoutModalIsOpen, togg
       }
     });
 
-    deleteExercise(deleteExercises);
     if (finalExercises.length === 0) {
+      deleteExercise(deleteExercises);
+      setRestTimer(null);
+      toggleSaveModal();
       window.location.hash = 'user-profile';
       return;
     }
-    finalWorkout.exercises = finalExercises;
+    const totals = { totalVolume: 0, totalSets: 0, totalReps: 0 };
+    finalExercises.forEach(exercise => {
+      exercise.sets.forEach(set => {
+        if (!isWarmup(set) && isWeighted(exercise.trackingType)) totals.totalVolume += set.reps * set.weight;
+        totals.totalSets++;
+        totals.totalReps += set.reps || 0;
+      });
+    });
 
-    fetch(`/api/workout/${workout.workoutId}`, {
-      method: 'PATCH',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Access-Token': accessToken
-      },
-      body: JSON.stringify(finalWorkout)
-    })
-      .catch(err => console.error('ERROR:', err));
+    if (saveAsTemplate) {
+      const template = {
+        templateName: workout.workoutName,
+        exerciseIds: finalExercises.map(exercise => exercise.exerciseId)
+      };
+      sendMutation('/api/templates', { method: 'POST', body: template })
+        .catch(err => console.error('ERROR:', err));
+    }
 
-    fetch(`/api/workout/${workout.workoutId}/completed`, {
-      method: 'PATCH',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Access-Token': accessToken
-      },
-      body: JSON.stringify(workoutName)
+    const finalWorkout = {
+      workoutName: workout.workoutName,
+      notes: workout.notes,
+      exercises: finalExercises,
+      idempotencyKey
+    };
+    sendMutation(`/api/workout/${workout.workoutId}/finish`, {
+      method: 'POST',
+      body: finalWorkout,
+      workoutId: workout.workoutId,
+      offlineResult: { durationSeconds: null }
     })
-      .then(result => { window.location.hash = 'user-profile'; })
+      .then(result => {
+        setSummary({ ...totals, durationSeconds: result.durationSeconds });
+        return removeLocalWorkout(workout.workoutId);
+      }, err => setSaveError(err.message))
       .catch(err => console.error('ERROR:', err));
   }
 
+  function finish() {
+    setRestTimer(null);
+    toggleSaveModal();
+    window.location.hash = 'user-profile';
+  }
+
+  function renderSummary() {
+    const items = [
+      { label: 'Volume', value: Math.round(summary.totalVolume) },
+      { label: 'Sets', value: summary.totalSets },
+      { label: 'Reps', value: summary.totalReps },
+      { label: 'Duration', value: formatDuration(summary.durationSeconds) }
+    ];
+    return (
+      <div className='absolute w-[340px] md:w-[400px] bg-white p-3 left-0 right-0 top-[100px] mx-auto rounded-md'>
+        <p className="text-2xl md:mt-4">Workout saved!</p>
+        <div className="my-6 grid grid-cols-2 gap-2">
+          {items.map(item =>
+            <div key={item.label} className="bg-gray-200 rounded-md py-2">
+              <p className="font-semibold">{item.label}</p>
+              <p className="text-xl">{item.value}</p>
+            </div>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={finish}
+          className="primary-button h-[40px] w-[60%] m-3">Done</button>
+      </div>
+    );
+  }
+
   return (
     <>
       <div className={`z-10 h-full w-full ${saveWorkoutModalIsOpen ? 'fixed' : 'hidden'}`} >
         <form onSubmit={saveWorkout}>
           <div
             className="absolute w-full h-full bg-modalGrey"
-            onClick={toggleSaveModal}>
-          </div>
-          <div className='absolute w-[340px] h-[250px] md:w-[400px] md:h-[300px] bg-white p-3 left-0 right-0 top-[100px] mx-auto rounded-md'>
-            <p className="text-2xl md:mt-4">Do you want to save this workout?</p>
-            <p className='text-xl text-priRed my-4 md:my-8'>
-              Sets that are not marked &apos;done&apos; won&apos;t be saved
-            </p>
-            <button
-              type="submit"
-              className="primary-button h-[40px] w-[40%] m-3">Save</button>
-            <button
-              type="button"
-              className="h-[40px] w-[40%] border border-gray-300 m-3 shadow-xl rounded-md"
-              onClick={toggleSaveModal}>Cancel</button>
+            onClick={summary ? finish : toggleSaveModal}>
           </div>
+          {summary
+            ? renderSummary()
+            : <div className='absolute w-[340px] min-h-[290px] md:w-[400px] md:min-h-[340px] bg-white p-3 left-0 right-0 top-[100px] mx-auto rounded-md'>
+              <p className="text-2xl md:mt-4">Do you want to save this workout?</p>
+              <p className='text-xl text-priRed my-4 md:my-8'>
+                Sets that are not marked &apos;done&apos; won&apos;t be saved
+              </p>
+              {saveError && <p className="text-priRed mb-2">{saveError}</p>}
+              <label htmlFor="saveAsTemplate" className="text-lg cursor-pointer">
+                <input
+                  type="checkbox"
+                  id="saveAsTemplate"
+                  checked={saveAsTemplate}
+                  onChange={() => setSaveAsTemplate(!saveAsTemplate)}
+                  className="mr-2 accent-amber-400" />
+                Also save as a template
+              </label>
+              <button
+                type="submit"
+                className="primary-button h-[40px] w-[40%] m-3">Save</button>
+              <button
+                type="button"
+                className="h-[40px] w-[40%] border border-gray-300 m-3 shadow-xl rounded-md"
+                onClick={toggleSaveModal}>Cancel</button>
+            </div>
+          }
         </form>
       </div>
     </>
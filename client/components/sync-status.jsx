@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { SYNC_EVENT, getSyncStatus, dismissConflict } from '../lib/offline-queue';
+
+export default function SyncStatus({ workoutId, hideWhenSynced }) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    function updateStatus() {
+      getSyncStatus()
+        .then(result => setStatus(result))
+        .catch(err => console.error('ERROR:', err));
+    }
+    updateStatus();
+    window.addEventListener(SYNC_EVENT, updateStatus);
+    window.addEventListener('online', updateStatus);
+    window.addEventListener('offline', updateStatus);
+    return () => {
+      window.removeEventListener(SYNC_EVENT, updateStatus);
+      window.removeEventListener('online', updateStatus);
+      window.removeEventListener('offline', updateStatus);
+    };
+  }, []);
+
+  if (!status) return null;
+
+  if (workoutId === undefined) {
+    if (status.pending === 0 && status.conflicts === 0) return null;
+    return (
+      <p className="my-2 text-sm text-gray-500">
+        <i className={`fa-solid ${status.conflicts > 0 ? 'fa-triangle-exclamation text-priRed' : 'fa-cloud-arrow-up'} mr-1`}></i>
+        {status.pending > 0 && `${status.pending} change${status.pending === 1 ? '' : 's'} waiting to sync. `}
+        {status.conflicts > 0 && `${status.conflicts} change${status.conflicts === 1 ? '' : 's'} could not be synced.`}
+      </p>
+    );
+  }
+
+  const workoutStatus = status.workouts[workoutId] || { pending: 0, conflict: null };
+
+  if (workoutStatus.conflict) {
+    return (
+      <p className="my-2 text-sm font-bold text-priRed">
+        <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+        {`Sync conflict: ${workoutStatus.conflict} `}
+        <button
+          type="button"
+          onClick={() => dismissConflict(workoutId).catch(err => console.error('ERROR:', err))}
+          className="underline hover:text-black">Dismiss</button>
+      </p>
+    );
+  }
+
+  if (hideWhenSynced && workoutStatus.pending === 0) return null;
+
+  let message = 'All changes synced';
+  let icon = 'fa-cloud';
+  if (workoutStatus.pending > 0) {
+    icon = 'fa-cloud-arrow-up';
+    if (!status.isOnline) message = 'Saved on this device - will sync when back online';
+    else if (status.isReplaying) message = 'Syncing...';
+    else message = 'Waiting to sync';
+  } else if (!status.isOnline) {
+    icon = 'fa-plane';
+    message = 'Offline';
+  }
+
+  return (
+    <p className="my-2 text-sm text-gray-500">
+      <i className={`fa-solid ${icon} mr-1`}></i>
+      {message}
+    </p>
+  );
+}
@@ -23,18 +23,31 @@ export default function TopNavbar() {
           <a href="#new-workout" className="text-xl text-priYellow hover:text-priRed font-semibold">Workout</a>
           <a href="#user-profile" className="text-xl text-priYellow hover:text-priRed font-semibold">Profile</a>
           <a href="#charts" className="text-xl text-priYellow hover:text-priRed font-semibold">Progress</a>
+          <a href="#calendar" className="text-xl text-priYellow hover:text-priRed font-semibold">Calendar</a>
+          <a href="#records" className="text-xl text-priYellow hover:text-priRed font-semibold">Records</a>
         </div>
       </div>
-      <div className="w-[5%] ml-6">
+      <div className="ml-6 flex items-center gap-5">
+        <a href="#settings" aria-label="settings">
+          <i className="fa-solid fa-gear fa-xl text-priYellow hover:text-priRed"></i>
+        </a>
         <a className="cursor-pointer" onClick={toggleSignOut}>
           <i className="fa-solid fa-arrow-right-from-bracket fa-xl text-priYellow hover:text-priRed"></i>
         </a>
-        <button
-          onClick={handleSignOut}
-          type="button"
-          className={`absolute top-[50px] right-[40px] p-2 border rounded-md border-priRed bg-red-100 text-priRed font-bold hover:bg-priRed hover:text-white ${!signOutIsOpen && 'hidden'}`}>
-          Sign Out
-        </button>
+        <div className={`absolute top-[50px] right-[40px] flex flex-col gap-2 ${!signOutIsOpen && 'hidden'}`}>
+          <button
+            onClick={() => handleSignOut()}
+            type="button"
+            className="p-2 border rounded-md border-priRed bg-red-100 text-priRed font-bold hover:bg-priRed hover:text-white">
+            Sign Out
+          </button>
+          <button
+            onClick={() => handleSignOut(true)}
+            type="button"
+            className="p-2 border rounded-md border-priRed bg-red-100 text-priRed font-bold hover:bg-priRed hover:text-white">
+            Sign Out All Devices
+          </button>
+        </div>
       </div>
     </nav>
   );
@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useContext } from 'react';
+import LoadingRing from '../components/loading-ring';
+import AppContext from '../lib/app-context';
+import formatDuration from '../lib/format-duration';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+export default function WeeklyTotalsChart() {
+  const [weeks, setWeeks] = useState(null);
+  const { accessToken, settings } = useContext(AppContext);
+
+  useEffect(() => {
+    fetch('/api/user/weekly-totals?weeks=8', { headers: { 'X-Access-Token': accessToken } })
+      .then(response => response.json())
+      .then(result => setWeeks(result))
+      .catch(err => console.error('ERROR:', err));
+  }, [accessToken]);
+
+  if (!weeks) return <LoadingRing />;
+
+  const labels = weeks.map(week =>
+    ['Week', new Date(week.weekStart).toLocaleString('default', { day: 'numeric', month: 'short' })]
+  );
+
+  const options = {
+    maintainAspectRatio: false,
+    responsive: true,
+    plugins: {
+      title: {
+        display: true,
+        text: 'Weekly Volume'
+      }
+    }
+  };
+
+  const chartData = {
+    labels,
+    datasets: [{
+      label: `Total Volume (${settings.weightUnit})`,
+      backgroundColor: 'rgba(220, 38, 39, 0.75)',
+      data: weeks.map(week => Math.round(week.totalVolume))
+    }]
+  };
+
+  return (
+    <div className="w-[95%] md:w-[75%] mx-auto my-8">
+      <div className="min-h-[300px] md:min-h-[400px] p-2 border border-black rounded-md">
+        <Bar options={options} data={chartData} />
+      </div>
+      <table className="table-fixed w-full mt-4 text-center">
+        <thead>
+          <tr>
+            <th>Week</th>
+            <th>Workouts</th>
+            <th>Sets</th>
+            <th>Reps</th>
+            <th>Duration</th>
+          </tr>
+        </thead>
+        <tbody>
+          {weeks.map((week, index) =>
+            <tr key={week.weekStart} className={index % 2 === 0 ? 'bg-gray-200' : ''}>
+              <td>{labels[index][1]}</td>
+              <td>{week.totalWorkouts}</td>
+              <td>{week.totalSets}</td>
+              <td>{week.totalReps}</td>
+              <td>{week.totalWorkouts === 0 ? '-' : formatDuration(week.durationSeconds)}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -7,3 +7,10 @@ const container = document.querySelector('#root');
 const root = ReactDOM.createRoot(container);
 
 root.render(<App />);
+
+if ('serviceWorker' in navigator && process.env.NODE_ENV !== 'development') {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/service-worker.js')
+      .catch(err => console.error('ERROR:', err));
+  });
+}
@@ -0,0 +1,75 @@
+import { clearOfflineData } from './offline-queue';
+
+const ACCESS_TOKEN_KEY = 'strive-user-info';
+const REFRESH_TOKEN_KEY = 'strive-refresh-token';
+
+let refreshRequest = null;
+let isRefreshInstalled = false;
+
+export function saveSession({ token, refreshToken }) {
+  window.localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  window.localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+export function saveAccessToken(token) {
+  window.localStorage.setItem(ACCESS_TOKEN_KEY, token);
+}
+
+// Cached API responses and offline changes belong to the signed-out user, so the next
+// user must neither see them nor have them replayed into their account.
+export function clearSession() {
+  window.localStorage.removeItem(ACCESS_TOKEN_KEY);
+  window.localStorage.removeItem(REFRESH_TOKEN_KEY);
+  if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage('clear-api-cache');
+  }
+  return clearOfflineData();
+}
+
+export function getRefreshToken() {
+  return window.localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+// Concurrent 401s share one refresh so the rotated refresh token is only spent once.
+function refreshSession() {
+  if (refreshRequest) return refreshRequest;
+  refreshRequest = fetch('/api/auth/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: getRefreshToken() })
+  })
+    .then(response => response.json()
+      .then(result => {
+        if (!response.ok) return null;
+        saveSession(result);
+        return result.token;
+      }))
+    .finally(() => { refreshRequest = null; });
+  return refreshRequest;
+}
+
+// Retries API requests once with a new access token when the current one is rejected.
+// `onSessionEnded` runs when the refresh token is no longer accepted either.
+export function installTokenRefresh(onSessionEnded) {
+  if (isRefreshInstalled) return;
+  isRefreshInstalled = true;
+  const sendRequest = window.fetch.bind(window);
+
+  window.fetch = (url, options = {}) => sendRequest(url, options)
+    .then(response => {
+      const headers = new Headers(options.headers);
+      if (response.status !== 401 || !headers.has('X-Access-Token')) return response;
+      const storedToken = window.localStorage.getItem(ACCESS_TOKEN_KEY);
+      const getToken = storedToken && storedToken !== headers.get('X-Access-Token')
+        ? Promise.resolve(storedToken)
+        : refreshSession();
+      return getToken.then(token => {
+        if (!token) {
+          onSessionEnded();
+          return response;
+        }
+        headers.set('X-Access-Token', token);
+        return sendRequest(url, { ...options, headers });
+      });
+    });
+}
@@ -0,0 +1,19 @@
+export default function formatDuration(seconds) {
+  if (!seconds || seconds < 60) return '< 1m';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+}
+
+export function formatClock(seconds) {
+  const absolute = Math.abs(Math.round(seconds));
+  const clock = `${Math.floor(absolute / 60)}:${String(absolute % 60).padStart(2, '0')}`;
+  return seconds < 0 ? `-${clock}` : clock;
+}
+
+export function parseClock(text) {
+  const parts = String(text).trim().split(':');
+  if (!parts[0] || parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
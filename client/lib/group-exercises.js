@@ -0,0 +1,17 @@
+export function getGroupLabel(group) {
+  const kind = group.exercises.length > 2 ? 'Circuit' : 'Superset';
+  return `${kind} ${String.fromCharCode(64 + group.supersetGroup)}`;
+}
+
+export default function groupExercises(exercises) {
+  const groups = [];
+  exercises.forEach(exercise => {
+    const existing = exercise.supersetGroup && groups.find(group => group.supersetGroup === exercise.supersetGroup);
+    if (existing) {
+      existing.exercises.push(exercise);
+      return;
+    }
+    groups.push({ supersetGroup: exercise.supersetGroup || null, exercises: [exercise] });
+  });
+  return groups;
+}
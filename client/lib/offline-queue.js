@@ -0,0 +1,246 @@
+const DB_NAME = 'strive-offline';
+const DB_VERSION = 1;
+export const SYNC_EVENT = 'strive-sync';
+export const WORKOUT_ID_EVENT = 'strive-workout-id';
+
+let isReplaying = false;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('mutations', { keyPath: 'mutationId', autoIncrement: true });
+      db.createObjectStore('workouts', { keyPath: 'workoutId' });
+      db.createObjectStore('conflicts', { keyPath: 'workoutId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runTransaction(storeName, mode, action) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  }));
+}
+
+function getAll(storeName) {
+  return runTransaction(storeName, 'readonly', store => store.getAll());
+}
+
+function updateAll(storeName, update) {
+  return runTransaction(storeName, 'readwrite', store => {
+    store.getAll().onsuccess = e => e.target.result.forEach(record => update(record, store));
+  });
+}
+
+function notify() {
+  window.dispatchEvent(new Event(SYNC_EVENT));
+}
+
+function sendRequest(mutation) {
+  return fetch(mutation.url, {
+    method: mutation.method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Access-Token': window.localStorage.getItem('strive-user-info')
+    },
+    body: mutation.body === null ? undefined : JSON.stringify(mutation.body)
+  });
+}
+
+function parseResponse(response) {
+  if (response.status === 204) return null;
+  return response.json();
+}
+
+// Online requests reject with the server's error message so callers can show it;
+// only network failures (a `TypeError` from fetch) fall back to the queue.
+function checkResponse(response) {
+  if (response.ok) return parseResponse(response);
+  return response.json()
+    .catch(() => null)
+    .then(result => {
+      throw new Error((result && result.error) || `Request failed with status ${response.status}.`);
+    });
+}
+
+function requestBackgroundSync() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.sync && registration.sync.register('replay-mutations'))
+    .catch(err => console.error('ERROR:', err));
+}
+
+export function createTempId() {
+  return -Date.now();
+}
+
+export function createIdempotencyKey() {
+  if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+export function saveLocalWorkout(workout) {
+  return runTransaction('workouts', 'readwrite', store => store.put(workout));
+}
+
+export function getLocalWorkout(workoutId) {
+  return runTransaction('workouts', 'readonly', store => store.get(workoutId))
+    .then(workout => {
+      if (!workout) throw new Error(`Workout ${workoutId} is not saved on this device.`);
+      return workout;
+    });
+}
+
+export function removeLocalWorkout(workoutId) {
+  return runTransaction('workouts', 'readwrite', store => store.delete(workoutId));
+}
+
+// Mutations are queued while offline, while earlier ones are still waiting, or while the
+// workout only has a temporary id; queued calls resolve with `offlineResult`.
+export function sendMutation(url, { method, body = null, workoutId = null, offlineResult = null, coalesce = false, createsWorkout = false }) {
+  const mutation = { url, method, body, workoutId, coalesce, createsWorkout, queuedAt: new Date().toISOString() };
+
+  function queueMutation() {
+    return updateAll('mutations', (queued, store) => {
+      if (coalesce && queued.method === method && queued.url === url) store.delete(queued.mutationId);
+    })
+      .then(() => runTransaction('mutations', 'readwrite', store => store.add(mutation)))
+      .then(() => {
+        notify();
+        requestBackgroundSync();
+        if (navigator.onLine) replayMutations().catch(err => console.error('ERROR:', err));
+        return offlineResult;
+      });
+  }
+
+  return getAll('mutations').catch(() => []).then(queued => {
+    if (queued.length > 0 || !navigator.onLine || workoutId < 0) return queueMutation();
+    return sendRequest(mutation)
+      .then(checkResponse)
+      .catch(err => {
+        if (err instanceof TypeError) return queueMutation();
+        throw err;
+      });
+  });
+}
+
+function remapWorkoutId(tempId, workoutId) {
+  const replaceId = text => text.split(`/${tempId}`).join(`/${workoutId}`);
+  return updateAll('mutations', (queued, store) => {
+    if (queued.workoutId !== tempId) return;
+    const body = queued.body && queued.body.workoutId === tempId ? { ...queued.body, workoutId } : queued.body;
+    store.put({ ...queued, url: replaceId(queued.url), body, workoutId });
+  })
+    .then(() => runTransaction('workouts', 'readonly', store => store.get(tempId)))
+    .then(localWorkout => {
+      if (!localWorkout) return;
+      return saveLocalWorkout({ ...localWorkout, workoutId })
+        .then(() => removeLocalWorkout(tempId));
+    })
+    .then(() => {
+      window.dispatchEvent(new CustomEvent(WORKOUT_ID_EVENT, { detail: { tempId, workoutId } }));
+    });
+}
+
+function recordConflict(mutation, message) {
+  return runTransaction('mutations', 'readwrite', store => store.delete(mutation.mutationId))
+    .then(() => {
+      if (mutation.coalesce) return;
+      const conflict = {
+        workoutId: mutation.workoutId || 0,
+        message: message || 'The server rejected an offline change.',
+        method: mutation.method,
+        url: mutation.url,
+        queuedAt: mutation.queuedAt
+      };
+      return runTransaction('conflicts', 'readwrite', store => store.put(conflict));
+    })
+    .then(() => {
+      if (!mutation.createsWorkout) return;
+      return updateAll('mutations', (queued, store) => {
+        if (queued.workoutId === mutation.workoutId) store.delete(queued.mutationId);
+      });
+    });
+}
+
+function replayNext() {
+  return getAll('mutations').then(([mutation]) => {
+    if (!mutation) return;
+    return sendRequest(mutation)
+      .then(response => {
+        if (response.status === 401 || response.status >= 500) {
+          throw new Error(`Sync stopped: server responded with ${response.status}.`);
+        }
+        if (!response.ok) return parseResponse(response).then(result => recordConflict(mutation, result && result.error));
+        return parseResponse(response)
+          .then(result => runTransaction('mutations', 'readwrite', store => store.delete(mutation.mutationId))
+            .then(() => {
+              if (mutation.createsWorkout) return remapWorkoutId(mutation.workoutId, result.workoutId);
+            }));
+      })
+      .then(() => {
+        notify();
+        return replayNext();
+      });
+  });
+}
+
+export function replayMutations() {
+  if (isReplaying || !navigator.onLine) return Promise.resolve();
+  isReplaying = true;
+  notify();
+  return replayNext()
+    .finally(() => {
+      isReplaying = false;
+      notify();
+    });
+}
+
+export function getSyncStatus() {
+  return Promise.all([getAll('mutations'), getAll('conflicts')])
+    .then(([mutations, conflicts]) => {
+      const workouts = {};
+      mutations.forEach(mutation => {
+        const workoutId = mutation.workoutId || 0;
+        if (!workouts[workoutId]) workouts[workoutId] = { pending: 0, conflict: null };
+        workouts[workoutId].pending++;
+      });
+      conflicts.forEach(conflict => {
+        if (!workouts[conflict.workoutId]) workouts[conflict.workoutId] = { pending: 0, conflict: null };
+        workouts[conflict.workoutId].conflict = conflict.message;
+      });
+      return {
+        isOnline: navigator.onLine,
+        isReplaying,
+        pending: mutations.length,
+        conflicts: conflicts.length,
+        workouts
+      };
+    });
+}
+
+// Queued mutations replay with whichever access token is current, so nothing one user
+// queued may survive into the next user's session on this device.
+export function clearOfflineData() {
+  return Promise.all(['mutations', 'workouts', 'conflicts'].map(storeName =>
+    runTransaction(storeName, 'readwrite', store => store.clear())
+  ))
+    .then(notify);
+}
+
+export function dismissConflict(workoutId) {
+  return runTransaction('conflicts', 'readwrite', store => store.delete(workoutId))
+    .then(notify);
+}
@@ -0,0 +1,46 @@
+import { isWarmup } from './set-types';
+
+export function epley(weight, reps) {
+  if (!reps || weight === null) return 0;
+  if (reps === 1) return Number(weight);
+  return Number(weight) * (1 + reps / 30);
+}
+
+export function formatWeight(weight) {
+  if (weight === null || weight === undefined) return '-';
+  return Math.round(weight * 10) / 10;
+}
+
+function findCountRecord(label, key, set, recordBest, earlierSets) {
+  const value = Number(set[key]) || 0;
+  const best = Math.max(recordBest || 0, ...earlierSets.map(earlier => Number(earlier[key]) || 0));
+  return value > best ? [label] : [];
+}
+
+export default function findNewRecords(set, record, earlierSets, trackingType) {
+  if (isWarmup(set)) return [];
+  const workingSets = earlierSets.filter(earlier => !isWarmup(earlier));
+  if (trackingType === 'bodyweightReps') return findCountRecord('Reps', 'reps', set, record && record.maxReps, workingSets);
+  if (trackingType === 'duration') return findCountRecord('Time', 'durationSeconds', set, record && record.longestDurationSeconds, workingSets);
+  if (trackingType === 'distanceTime') return findCountRecord('Distance', 'distance', set, record && record.longestDistance, workingSets);
+  const weight = Number(set.weight) || 0;
+  const reps = Number(set.reps) || 0;
+  if (!reps || !weight) return [];
+  const best = {
+    weight: record ? record.heaviestWeight : 0,
+    volume: record ? record.bestVolumeSet.reps * record.bestVolumeSet.weight : 0,
+    oneRepMax: record ? record.epleyOneRepMax : 0
+  };
+  workingSets.forEach(earlier => {
+    const earlierWeight = Number(earlier.weight) || 0;
+    const earlierReps = Number(earlier.reps) || 0;
+    best.weight = Math.max(best.weight, earlierWeight);
+    best.volume = Math.max(best.volume, earlierWeight * earlierReps);
+    best.oneRepMax = Math.max(best.oneRepMax, epley(earlierWeight, earlierReps));
+  });
+  const newRecords = [];
+  if (weight > best.weight) newRecords.push('Weight');
+  if (weight * reps > best.volume) newRecords.push('Volume');
+  if (epley(weight, reps) > best.oneRepMax) newRecords.push('1RM');
+  return newRecords;
+}
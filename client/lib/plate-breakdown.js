@@ -0,0 +1,30 @@
+const KILOGRAMS_PER_POUND = 0.45359237;
+
+export const plateDefaults = {
+  lb: { barWeight: 45, plates: [45, 35, 25, 10, 5, 2.5] },
+  kg: { barWeight: 20, plates: [25, 20, 15, 10, 5, 2.5, 1.25] }
+};
+
+export const plateOptions = {
+  lb: [55, 45, 35, 25, 15, 10, 5, 2.5, 1.25],
+  kg: [25, 20, 15, 10, 5, 2.5, 2, 1.25, 1, 0.5]
+};
+
+function convertWeight(weight, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return weight;
+  return fromUnit === 'lb' ? weight * KILOGRAMS_PER_POUND : weight / KILOGRAMS_PER_POUND;
+}
+
+export default function getPlateBreakdown(weight, weightUnit, { barWeight, plates, plateUnit }) {
+  const target = convertWeight(Number(weight) || 0, weightUnit, plateUnit);
+  let remaining = (target - barWeight) / 2;
+  if (remaining < 0) return null;
+  const perSide = [];
+  [...plates].sort((a, b) => b - a).forEach(plate => {
+    while (remaining - plate > -0.01) {
+      perSide.push(plate);
+      remaining -= plate;
+    }
+  });
+  return { perSide, remainder: Math.round(remaining * 100) / 100 };
+}
@@ -0,0 +1,27 @@
+export const setTypes = [
+  { value: 'working', label: 'Working', short: null },
+  { value: 'warmup', label: 'Warm-up', short: 'W' },
+  { value: 'drop', label: 'Drop set', short: 'D' },
+  { value: 'failure', label: 'Failure', short: 'F' },
+  { value: 'amrap', label: 'AMRAP', short: 'A' }
+];
+
+export const rpeOptions = [6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10];
+
+export const rirOptions = [0, 1, 2, 3, 4, 5];
+
+// Warm-ups are logged but left out of volume and personal records.
+export function isWarmup(set) {
+  return set.setType === 'warmup';
+}
+
+export function getSetLabel(set, setOrder) {
+  const setType = setTypes.find(type => type.value === set.setType);
+  return setType && setType.short ? setType.short : setOrder;
+}
+
+export function formatEffort(set) {
+  if (set.rpe !== null && set.rpe !== undefined) return `RPE ${set.rpe}`;
+  if (set.rir !== null && set.rir !== undefined) return `RIR ${set.rir}`;
+  return null;
+}
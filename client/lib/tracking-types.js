@@ -0,0 +1,46 @@
+import { formatClock } from './format-duration';
+
+export const trackingTypes = [
+  { value: 'weightReps', label: 'Weight x reps' },
+  { value: 'bodyweightReps', label: 'Bodyweight x reps' },
+  { value: 'duration', label: 'Duration' },
+  { value: 'distanceTime', label: 'Distance + time' }
+];
+
+export function isWeighted(trackingType) {
+  return !trackingType || trackingType === 'weightReps';
+}
+
+// Distances follow the weight unit: miles for lb users, kilometers for kg users.
+export function getDistanceUnit(weightUnit) {
+  return weightUnit === 'kg' ? 'km' : 'mi';
+}
+
+export function hasMeasurement(set, trackingType) {
+  if (trackingType === 'duration') return set.durationSeconds > 0;
+  if (trackingType === 'distanceTime') return set.distance > 0;
+  return set.reps > 0;
+}
+
+export function formatBodyweight(weight, weightUnit) {
+  const added = Number(weight) || 0;
+  if (added === 0) return 'BW';
+  return `BW ${added > 0 ? '+' : '-'} ${Math.abs(added)} ${weightUnit}`;
+}
+
+export function formatSet(set, trackingType, weightUnit) {
+  if (trackingType === 'bodyweightReps') return `${set.reps} x ${formatBodyweight(set.weight, weightUnit)}`;
+  if (trackingType === 'duration') return formatClock(set.durationSeconds || 0);
+  if (trackingType === 'distanceTime') {
+    const distance = `${Number(set.distance) || 0} ${getDistanceUnit(weightUnit)}`;
+    return set.durationSeconds ? `${distance} in ${formatClock(set.durationSeconds)}` : distance;
+  }
+  return `${set.reps} x ${Number(set.weight) || 0} ${weightUnit}`;
+}
+
+export function getColumnLabels(trackingType, weightUnit) {
+  if (trackingType === 'bodyweightReps') return ['Reps', `+/- (${weightUnit})`];
+  if (trackingType === 'duration') return ['Time'];
+  if (trackingType === 'distanceTime') return [`Distance (${getDistanceUnit(weightUnit)})`, 'Time'];
+  return ['Reps', `Weight (${weightUnit})`];
+}
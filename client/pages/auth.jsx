@@ -3,10 +3,150 @@ import LoadingRing from '../components/loading-ring';
 import AppContext from '../lib/app-context';
 import Redirect from '../lib/redirect';
 
+function ForgotPasswordForm() {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState(null);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    fetch('/api/auth/forgot-password', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    })
+      .then(response => response.json())
+      .then(result => {
+        setMessage(result.error
+          ? { isError: true, text: result.error.replace('ERROR: ', '') }
+          : { isError: false, text: result.message });
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="my-3 w-[250px] mx-auto flex flex-col justify-center items-center">
+      <p className="text-lg mb-4">Enter the email on your account and we&apos;ll send you a link to reset your password.</p>
+      <label
+        htmlFor="email"
+        className="text-xl mb-1 mr-auto ml-2">Email</label>
+      <input
+        onChange={e => setEmail(e.target.value)}
+        required={true}
+        type="email"
+        name="email"
+        value={email}
+        className="text-xl py-2 px-3 mb-4 text-black rounded-md"
+        id="email" />
+      <button
+        type="submit"
+        className='primary-button w-[90%] max-w-[240px] mt-4 py-2 text font-bold text-xl'>
+        Send Reset Link
+      </button>
+      <a href="#sign-in" className='text-xl underline text-priYellow hover:text-priRed mt-4'>Back to sign in</a>
+      {message &&
+        <p className={`w-[260px] rounded-md border-2 my-5 p-3 font-bold ${message.isError ? 'text-priRed border-priRed bg-red-100' : 'text-[#419552] border-[#419552] bg-green-100'}`}>
+          {message.text}
+        </p>
+      }
+    </form>
+  );
+}
+
+function ResetPasswordForm({ token }) {
+  const [passwords, setPasswords] = useState({ password: '', confirmPassword: '' });
+  const [message, setMessage] = useState(null);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setPasswords({ ...passwords, [name]: value });
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (passwords.password !== passwords.confirmPassword) {
+      setMessage({ isError: true, text: 'Passwords do not match.' });
+      return;
+    }
+    fetch('/api/auth/reset-password', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, password: passwords.password })
+    })
+      .then(response => response.status === 204 ? {} : response.json())
+      .then(result => {
+        if (result.error) {
+          setMessage({ isError: true, text: result.error.replace('ERROR: ', '') });
+          return;
+        }
+        setMessage({ isError: false, text: 'Password updated! Redirecting to sign in...' });
+        setTimeout(() => {
+          window.location.hash = 'sign-in';
+        }, 3000);
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  if (!token) {
+    return (
+      <div className="w-[250px] mx-auto">
+        <p className="text-xl mb-4">This reset link is missing its token.</p>
+        <a href="#forgot-password" className='text-xl underline text-priYellow hover:text-priRed'>Request a new link</a>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="my-3 w-[250px] mx-auto flex flex-col justify-center items-center">
+      <label
+        htmlFor="password"
+        className="text-xl mb-1 mr-auto ml-2">New Password</label>
+      <input
+        onChange={handleChange}
+        required={true}
+        minLength={6}
+        type="password"
+        name="password"
+        value={passwords.password}
+        className="text-xl py-2 px-3 mb-4 text-black rounded-md"
+        id="password" />
+      <label
+        htmlFor="confirmPassword"
+        className="text-xl mb-1 mr-auto ml-2">Confirm Password</label>
+      <input
+        onChange={handleChange}
+        required={true}
+        minLength={6}
+        type="password"
+        name="confirmPassword"
+        value={passwords.confirmPassword}
+        className="text-xl py-2 px-3 mb-4 text-black rounded-md"
+        id="confirmPassword" />
+      <button
+        type="submit"
+        className='primary-button w-[90%] max-w-[240px] mt-4 py-2 text font-bold text-xl'>
+        Reset Password
+      </button>
+      {message &&
+        <p className={`w-[260px] rounded-md border-2 my-5 p-3 font-bold ${message.isError ? 'text-priRed border-priRed bg-red-100' : 'text-[#419552] border-[#419552] bg-green-100'}`}>
+          {message.text}
+        </p>
+      }
+      {message && message.isError &&
+        <a href="#forgot-password" className='text-xl underline text-priYellow hover:text-priRed'>Request a new link</a>
+      }
+    </form>
+  );
+}
+
 function AuthForm({ existingUsernames, path }) {
   const [userInfo, setUserInfo] = useState({
     username: '',
-    password: ''
+    password: '',
+    email: ''
   });
   const [action, setAction] = useState({
     type: null,
@@ -23,6 +163,8 @@ function AuthForm({ existingUsernames, path }) {
   }, [path]);
 
   if (curRoute.path === '' && !user) return <Redirect to='sign-in' />;
+  if (path === 'forgot-password') return <ForgotPasswordForm />;
+  if (path === 'reset-password') return <ResetPasswordForm token={curRoute.params.get('token')} />;
 
   function handleChange(e) {
     const { name, value } = e.target;
@@ -46,6 +188,10 @@ function AuthForm({ existingUsernames, path }) {
       })
         .then(response => response.json())
         .then(result => {
+          if (result.error) {
+            setAction({ ...action, message: 'error', error: result.error.replace('ERROR: ', '') });
+            return;
+          }
           setAction({ ...action, message: 'success' });
           setTimeout(() => {
             window.location.hash = 'sign-in';
@@ -81,6 +227,7 @@ function AuthForm({ existingUsernames, path }) {
               className='primary-button w-[90%] max-w-[240px] mt-4 py-2 text font-bold text-xl'>
               Sign In
             </button>
+          <a href="#forgot-password" className='text-lg underline text-priYellow hover:text-priRed mt-3'>Forgot password?</a>
           <div>
             <p className='text-xl mt-4'>Don&apos;t have an account?</p>
             <a href="#sign-up" className='text-xl underline text-priYellow hover:text-priRed'>Click here to sign up.</a>
@@ -111,7 +258,7 @@ function AuthForm({ existingUsernames, path }) {
       return (
         <p className='relative w-[260px] rounded-md text-priRed text-priRed border-2 border-priRed float-left my-5 p-3 font-bold bg-red-100'>
           <i className="fa-solid fa-xmark fa-lg mr-3"></i>
-          Username already exists.
+          {action.error || 'Username already exists.'}
         </p>
       );
     } else if (action.type === 'sign-up' && action.message === 'success') {
@@ -161,12 +308,31 @@ function AuthForm({ existingUsernames, path }) {
         name="password"
         className="text-xl py-2 px-3 mb-4 text-black rounded-md"
         id="password" />
+      {action.type === 'sign-up' &&
+        <>
+          <label
+            htmlFor="email"
+            className="text-xl mb-1 mr-auto ml-2">Email (for password resets)</label>
+          <input
+            onChange={handleChange}
+            type="email"
+            name="email"
+            className="text-xl py-2 px-3 mb-4 text-black rounded-md"
+            id="email" />
+        </>
+      }
       {displayAlternative()}
       {action.message && showDisplayMessage()}
     </form>
   );
 }
 
+const pageTitles = {
+  'sign-up': 'Sign Up',
+  'forgot-password': 'Forgot Password',
+  'reset-password': 'Reset Password'
+};
+
 export default function AuthPage() {
   const [existingUsernames, setExistingUsernames] = useState(null);
   const { user, curRoute } = useContext(AppContext);
@@ -190,7 +356,7 @@ export default function AuthPage() {
         </figure>
         <h2 className="auth-logo-subtext absolute bottom-0 min-w-[220px] text-xl left-0 right-0 mx-auto">Workout Tracker</h2>
       </div>
-      <h3 className="text-3xl my-5">{curRoute.path === 'sign-up' ? 'Sign Up' : 'Sign In'}</h3>
+      <h3 className="text-3xl my-5">{pageTitles[curRoute.path] || 'Sign In'}</h3>
       {existingUsernames
         ? <AuthForm existingUsernames={existingUsernames} path={curRoute.path} />
         : <LoadingRing />
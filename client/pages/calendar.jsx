@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useContext } from 'react';
+import LoadingRing from '../components/loading-ring';
+import AppContext from '../lib/app-context';
+import formatDuration from '../lib/format-duration';
+
+const muscleGroupColors = {
+  Chest: 'bg-red-400',
+  Triceps: 'bg-orange-400',
+  Legs: 'bg-green-500',
+  Back: 'bg-blue-500',
+  Biceps: 'bg-purple-400',
+  Deltoids: 'bg-pink-400',
+  Core: 'bg-teal-400',
+  Cardio: 'bg-sky-300'
+};
+const weekDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function getMuscleGroupColor(muscleGroup) {
+  return muscleGroupColors[muscleGroup] || 'bg-gray-400';
+}
+
+function toMonthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function getCalendarCells(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const firstDay = new Date(year, monthIndex - 1, 1).getDay();
+  const totalDays = new Date(year, monthIndex, 0).getDate();
+  const cells = Array(firstDay).fill(null);
+  for (let day = 1; day <= totalDays; day++) {
+    cells.push(`${month}-${String(day).padStart(2, '0')}`);
+  }
+  return cells;
+}
+
+function DayWorkouts({ day }) {
+  const date = new Date(`${day.date}T00:00`);
+
+  return (
+    <div className="w-[95%] max-w-[500px] mx-auto mt-5 text-left">
+      <h4 className="text-2xl mb-2">
+        {date.toLocaleString('default', { weekday: 'long', month: 'long', day: 'numeric' })}
+      </h4>
+      {day.workouts.map(workout =>
+        <a
+          key={workout.workoutId}
+          href={`#workout-detail?workoutId=${workout.workoutId}`}
+          className="block mb-3 p-3 border border-black rounded-md shadow-md hover:bg-gray-100">
+          <p className="text-xl font-semibold">{workout.workoutName || 'Unnamed Workout'}</p>
+          <p className="text-gray-600">
+            {new Date(workout.completedAt).toLocaleTimeString('default', { hour: 'numeric', minute: '2-digit' })}
+            {' - '}
+            {formatDuration(workout.durationSeconds)}
+          </p>
+          <div className="flex flex-wrap gap-2 mt-2">
+            {workout.muscleGroups.map(muscleGroup =>
+              <span
+                key={muscleGroup}
+                className={`px-2 rounded-full text-white text-sm font-semibold ${getMuscleGroupColor(muscleGroup)}`}>
+                {muscleGroup}
+              </span>
+            )}
+          </div>
+        </a>
+      )}
+    </div>
+  );
+}
+
+export default function Calendar() {
+  const [month, setMonth] = useState(toMonthKey(new Date()));
+  const [calendar, setCalendar] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const { accessToken } = useContext(AppContext);
+
+  useEffect(() => {
+    let isCurrent = true;
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    setCalendar(null);
+    fetch(`/api/user/calendar?month=${month}&timeZone=${encodeURIComponent(timeZone)}`, {
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (isCurrent && !result.error) setCalendar(result);
+      })
+      .catch(err => console.error('ERROR:', err));
+    return () => { isCurrent = false; };
+  }, [accessToken, month]);
+
+  function changeMonth(offset) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    setMonth(toMonthKey(new Date(year, monthIndex - 1 + offset, 1)));
+    setSelectedDate(null);
+  }
+
+  const today = new Date();
+  const todayKey = `${toMonthKey(today)}-${String(today.getDate()).padStart(2, '0')}`;
+  const [year, monthIndex] = month.split('-').map(Number);
+  const monthLabel = new Date(year, monthIndex - 1, 1).toLocaleString('default', { month: 'long', year: 'numeric' });
+  const days = calendar ? calendar.days : [];
+  const selectedDay = days.find(day => day.date === selectedDate);
+  const trainedGroups = [...new Set(days.map(day => day.muscleGroup).filter(Boolean))];
+
+  return (
+    <div className="pt-[80px] pb-[100px] text-center">
+      <h4 className="text-4xl mb-5 mx-auto">Calendar</h4>
+      {calendar &&
+        <div className="flex justify-center gap-3 mb-5">
+          <div className="w-[100px] p-2 border border-black rounded-md shadow-md">
+            <p className="text-2xl font-semibold">{calendar.currentStreak}</p>
+            <p className="text-sm">Day Streak</p>
+          </div>
+          <div className="w-[100px] p-2 border border-black rounded-md shadow-md">
+            <p className="text-2xl font-semibold">{calendar.longestStreak}</p>
+            <p className="text-sm">Longest Streak</p>
+          </div>
+          <div className="w-[100px] p-2 border border-black rounded-md shadow-md">
+            <p className="text-2xl font-semibold">{calendar.currentWeekStreak}</p>
+            <p className="text-sm">Week Streak</p>
+          </div>
+        </div>
+      }
+      <div className="w-[95%] max-w-[500px] mx-auto flex justify-between items-center mb-3">
+        <button type="button" onClick={() => changeMonth(-1)} aria-label="previous month" className="px-3">
+          <i className="fa-solid fa-chevron-left fa-lg hover:text-priRed"></i>
+        </button>
+        <p className="text-2xl">{monthLabel}</p>
+        <button type="button" onClick={() => changeMonth(1)} aria-label="next month" className="px-3">
+          <i className="fa-solid fa-chevron-right fa-lg hover:text-priRed"></i>
+        </button>
+      </div>
+      {!calendar
+        ? <LoadingRing />
+        : <>
+          <div className="w-[95%] max-w-[500px] mx-auto grid grid-cols-7 gap-1">
+            {weekDays.map(weekDay => <p key={weekDay} className="font-semibold">{weekDay}</p>)}
+            {getCalendarCells(month).map((date, index) => {
+              if (!date) return <div key={`empty-${index}`} />;
+              const day = days.find(day => day.date === date);
+              return (
+                <button
+                  key={date}
+                  type="button"
+                  disabled={!day}
+                  onClick={() => setSelectedDate(date)}
+                  className={`h-[44px] rounded-md border ${date === todayKey ? 'border-black' : 'border-gray-200'} ${day ? `${getMuscleGroupColor(day.muscleGroup)} text-white font-bold` : 'text-gray-500'} ${date === selectedDate ? 'ring-2 ring-priYellow' : ''}`}>
+                  {Number(date.slice(-2))}
+                </button>
+              );
+            })}
+          </div>
+          {trainedGroups.length > 0 &&
+            <div className="w-[95%] max-w-[500px] mx-auto flex flex-wrap justify-center gap-3 mt-3">
+              {trainedGroups.map(muscleGroup =>
+                <span key={muscleGroup} className="flex items-center gap-1 text-sm">
+                  <span className={`inline-block w-[12px] h-[12px] rounded-full ${getMuscleGroupColor(muscleGroup)}`} />
+                  {muscleGroup}
+                </span>
+              )}
+            </div>
+          }
+          {days.length === 0 && <p className="mt-5 text-lg">No workouts this month.</p>}
+          {selectedDay && <DayWorkouts day={selectedDay} />}
+        </>
+      }
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useContext } from 'react';
 import LoadingRing from '../components/loading-ring';
 import AppContext from '../lib/app-context';
+import ExerciseProgressChart from '../components/exercise-progress-chart';
+import WeeklyTotalsChart from '../components/weekly-totals-chart';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -46,7 +48,9 @@ export default function FrequencyChart() {
   }, []);
 
   useEffect(() => {
-    fetch('/api/user/all-workouts', { headers: { 'X-Access-Token': accessToken } })
+    const from = new Date();
+    from.setDate(from.getDate() - 8 * 7);
+    fetch(`/api/user/all-workouts?from=${from.toISOString().slice(0, 10)}`, { headers: { 'X-Access-Token': accessToken } })
       .then(response => response.json())
       .then(result => {
         if (labels) {
@@ -110,7 +114,7 @@ export default function FrequencyChart() {
   };
 
   return (
-    <div className="pt-[80px] text-center">
+    <div className="pt-[80px] pb-[80px] text-center">
       <h4 className="text-4xl mb-5 mx-auto">Progress</h4>
       {!labels
         ? <LoadingRing />
@@ -121,6 +125,8 @@ export default function FrequencyChart() {
           />
         </div>
       }
+      <WeeklyTotalsChart />
+      <ExerciseProgressChart />
     </div>
   );
 }
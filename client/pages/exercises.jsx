@@ -1,12 +1,13 @@
 import React, { useState, useEffect, useContext } from 'react';
 import AppContext from '../lib/app-context';
 import ExerciseList from '../components/exercise-list';
+import { sendMutation, getLocalWorkout, saveLocalWorkout } from '../lib/offline-queue';
 
 export default function Exercises(props) {
   const [selectedExercises, setSelectedExercises] = useState([]);
   const [expandExercisesDisplay, setDisplay] = useState(true);
   const [clearAll, setClearAll] = useState(false);
-  const { accessToken, user, curWorkout: workoutId } = useContext(AppContext);
+  const { user, curWorkout: workoutId } = useContext(AppContext);
 
   useEffect(() => {
     setClearAll(false);
@@ -23,16 +24,22 @@ export default function Exercises(props) {
       }
     });
     const body = { workoutId, exerciseIds: savedExercises, userId: user.userId };
-    fetch('/api/workout/new-exercises', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Access-Token': accessToken
-      },
-      body: JSON.stringify(body)
-    })
-      .then(response => response.json())
-      .then(result => {
+    const addedExercises = selectedExercises.map(exercise => ({
+      exerciseId: exercise.exerciseId,
+      name: exercise.name,
+      equipment: exercise.equipment || null,
+      trackingType: exercise.trackingType || 'weightReps',
+      restSeconds: 90,
+      sets: [],
+      previousSets: []
+    }));
+    sendMutation('/api/workout/new-exercises', { method: 'POST', body, workoutId })
+      .then(() => getLocalWorkout(workoutId).catch(() => ({ workoutId, workoutName: 'Workout', exercises: [] })))
+      .then(localWorkout => saveLocalWorkout({
+        ...localWorkout,
+        exercises: [...localWorkout.exercises, ...addedExercises]
+      }))
+      .then(() => {
         clearExercises();
         window.location.hash = 'workout';
       })
@@ -1,26 +1,87 @@
-import React, { useState, useContext } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
 import AppContext from '../lib/app-context';
+import LoadingRing from '../components/loading-ring';
+import ActiveWorkoutBanner from '../components/active-workout-banner';
+import { sendMutation, createTempId, saveLocalWorkout } from '../lib/offline-queue';
+
+function TemplateCard({ template, startFromTemplate, deleteTemplate }) {
+  return (
+    <div className="w-full bg-gray-200 rounded-md shadow-xl p-3 text-left">
+      <div className="flex justify-between items-center">
+        <h4 className="font-bold text-xl truncate">{template.templateName}</h4>
+        <button
+          type="button"
+          onClick={() => deleteTemplate(template.templateId)}
+          className="px-2 text-priRed hover:text-black">
+          <i className="fa-solid fa-trash-can fa-lg"></i>
+        </button>
+      </div>
+      <p className="my-2 text-sm">{template.exercises.map(exer => exer.name).join(', ')}</p>
+      <button
+        type="button"
+        onClick={() => startFromTemplate(template)}
+        className="primary-button w-full h-[35px] text-lg">Start</button>
+    </div>
+  );
+}
 
 export default function NewWorkout() {
   const [workoutName, setWorkoutName] = useState('New Workout');
-  const { setCurWorkout, accessToken } = useContext(AppContext);
+  const [templates, setTemplates] = useState(null);
+  const { setCurWorkout, setRestTimer, accessToken } = useContext(AppContext);
 
-  function handleSubmit(e) {
-    e.preventDefault();
-    const body = { workoutName };
-    fetch('/api/new-workout', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Access-Token': accessToken
-      },
-      body: JSON.stringify(body)
+  useEffect(() => {
+    fetch('/api/templates', {
+      headers: { 'X-Access-Token': accessToken }
     })
       .then(response => response.json())
+      .then(result => setTemplates(result))
+      .catch(err => console.error('ERROR:', err));
+  }, [accessToken]);
+
+  function startWorkout(body, exercises, nextPage) {
+    const tempId = createTempId();
+    sendMutation('/api/user/empty-workouts', { method: 'DELETE' })
+      .then(() => sendMutation('/api/new-workout', {
+        method: 'POST',
+        body,
+        workoutId: tempId,
+        createsWorkout: true,
+        offlineResult: { workoutId: tempId }
+      }))
       .then(result => {
         const { workoutId } = result;
+        const localExercises = exercises.map(exercise => ({
+          ...exercise,
+          restSeconds: 90,
+          sets: [],
+          previousSets: []
+        }));
         setCurWorkout(workoutId);
-        window.location.hash = 'exercise-list';
+        setRestTimer(null);
+        window.location.hash = nextPage;
+        return saveLocalWorkout({ workoutId, workoutName: body.workoutName, exercises: localExercises });
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    startWorkout({ workoutName }, [], 'exercise-list');
+  }
+
+  function startFromTemplate(template) {
+    const body = { workoutName: template.templateName, templateId: template.templateId };
+    startWorkout(body, template.exercises, 'workout');
+  }
+
+  function deleteTemplate(templateId) {
+    fetch(`/api/templates/${templateId}`, {
+      method: 'DELETE',
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(() => {
+        setTemplates(templates.filter(template => template.templateId !== templateId));
       })
       .catch(err => console.error('ERROR:', err));
   }
@@ -30,19 +91,36 @@ export default function NewWorkout() {
   }
 
   return (
-    <form onSubmit={handleSubmit} className='pt-[90px] flex flex-col justify-center items-center gap-4'>
-      <h3 className="text-3xl mb-5 text-center font-bold">Begin Workout</h3>
-      <div className='w-full max-w-[300px]'>
-        <label htmlFor="workoutName" className="w-full text-xl">Workout Name</label>
-        <input
-          onChange={workoutNameChange}
-          type="text"
-          id="workoutName"
-          name='workoutName'
-          placeholder='Ex. Chest and Triceps'
-          className="bg-gray-200 w-full rounded-md p-3 text-xl" />
+    <div className="pt-[90px] pb-[90px]">
+      <ActiveWorkoutBanner note="Starting a new workout discards this one." />
+      <form onSubmit={handleSubmit} className='flex flex-col justify-center items-center gap-4'>
+        <h3 className="text-3xl mb-5 text-center font-bold">Begin Workout</h3>
+        <div className='w-full max-w-[300px]'>
+          <label htmlFor="workoutName" className="w-full text-xl">Workout Name</label>
+          <input
+            onChange={workoutNameChange}
+            type="text"
+            id="workoutName"
+            name='workoutName'
+            placeholder='Ex. Chest and Triceps'
+            className="bg-gray-200 w-full rounded-md p-3 text-xl" />
+        </div>
+        <button type="submit" className="primary-button w-[70%] max-w-[300px] py-3 px-4 text-xl">Select Exercises</button>
+      </form>
+      <div className="w-[90%] max-w-[400px] mx-auto mt-10 flex flex-col items-center gap-4">
+        <h3 className="text-2xl text-center font-bold">Start From Template</h3>
+        {!templates
+          ? <LoadingRing />
+          : templates.length === 0
+            ? <p className="text-center">Save a completed workout as a template to reuse it here.</p>
+            : templates.map(template =>
+              <TemplateCard
+                key={template.templateId}
+                template={template}
+                startFromTemplate={startFromTemplate}
+                deleteTemplate={deleteTemplate} />
+            )}
       </div>
-      <button type="submit" className="primary-button w-[70%] max-w-[300px] py-3 px-4 text-xl">Select Exercises</button>
-    </form>
+    </div>
   );
 }
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useContext } from 'react';
+import LoadingRing from '../components/loading-ring';
+import AppContext from '../lib/app-context';
+import { formatWeight } from '../lib/personal-records';
+import { formatClock } from '../lib/format-duration';
+import { isWeighted, formatSet, getDistanceUnit } from '../lib/tracking-types';
+
+function OtherRecordRows({ record }) {
+  const { settings } = useContext(AppContext);
+  const { trackingType, heaviestSet } = record;
+  const rows = [];
+  if (trackingType === 'bodyweightReps') {
+    rows.push({ label: 'Most Reps', value: record.maxReps });
+    if (record.heaviestWeight > 0) rows.push({ label: 'Heaviest Set', value: formatSet(heaviestSet, trackingType, settings.weightUnit) });
+  }
+  if (trackingType === 'duration') rows.push({ label: 'Longest Time', value: formatClock(record.longestDurationSeconds || 0) });
+  if (trackingType === 'distanceTime') {
+    rows.push({ label: 'Longest Distance', value: `${formatWeight(record.longestDistance)} ${getDistanceUnit(settings.weightUnit)}` });
+    rows.push({ label: 'Longest Time', value: formatClock(record.longestDurationSeconds || 0) });
+  }
+
+  return (
+    <table className="table-fixed w-full">
+      <tbody>
+        {rows.map(row =>
+          <tr key={row.label}>
+            <td className="font-semibold">{row.label}</td>
+            <td>{row.value}</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  );
+}
+
+function WeightRecordRows({ record }) {
+  const { heaviestSet, bestVolumeSet } = record;
+  const repMaxes = [
+    { label: '1RM', weight: record.oneRepMax },
+    { label: '3RM', weight: record.threeRepMax },
+    { label: '5RM', weight: record.fiveRepMax },
+    { label: '10RM', weight: record.tenRepMax }
+  ];
+
+  return (
+    <>
+      <table className="table-fixed w-full">
+        <tbody>
+          <tr>
+            <td className="font-semibold">Heaviest Weight</td>
+            <td>{`${formatWeight(heaviestSet.weight)} x ${heaviestSet.reps}`}</td>
+          </tr>
+          <tr>
+            <td className="font-semibold">Best Volume Set</td>
+            <td>{`${formatWeight(bestVolumeSet.weight)} x ${bestVolumeSet.reps}`}</td>
+          </tr>
+          <tr>
+            <td className="font-semibold">Est. 1RM (Epley)</td>
+            <td>{formatWeight(record.epleyOneRepMax)}</td>
+          </tr>
+          <tr>
+            <td className="font-semibold">Est. 1RM (Brzycki)</td>
+            <td>{formatWeight(record.brzyckiOneRepMax)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="mt-3 flex justify-between text-center">
+        {repMaxes.map(repMax =>
+          <div key={repMax.label} className="w-[24%] bg-white rounded-md py-1">
+            <p className="font-semibold">{repMax.label}</p>
+            <p>{formatWeight(repMax.weight)}</p>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+function RecordCard({ record }) {
+  const { settings } = useContext(AppContext);
+  const sessions = `${record.totalSessions} session${record.totalSessions === 1 ? '' : 's'}`;
+
+  return (
+    <div className="w-[95%] min-w-[290px] max-w-[500px] bg-gray-200 mx-auto my-4 p-3 rounded-md shadow-xl text-left">
+      <h4 className="font-bold text-2xl text-center">
+        {`${record.name}${record.equipment === null ? '' : ` (${record.equipment})`}`}
+      </h4>
+      <p className="text-center mb-3">{isWeighted(record.trackingType) ? `${sessions} - weights in ${settings.weightUnit}` : sessions}</p>
+      {isWeighted(record.trackingType)
+        ? <WeightRecordRows record={record} />
+        : <OtherRecordRows record={record} />}
+    </div>
+  );
+}
+
+export default function Records() {
+  const [records, setRecords] = useState(null);
+  const [searchValue, setSearchValue] = useState('');
+  const { accessToken } = useContext(AppContext);
+
+  useEffect(() => {
+    fetch('/api/user/records', {
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(response => response.json())
+      .then(result => setRecords(result))
+      .catch(err => console.error('ERROR:', err));
+  }, [accessToken]);
+
+  function handleSearch(e) {
+    setSearchValue(e.target.value.toLowerCase());
+  }
+
+  return (
+    <div className="pt-[80px] pb-[80px] text-center">
+      <h4 className="text-4xl mb-5 mx-auto">Personal Records</h4>
+      {!records
+        ? <LoadingRing />
+        : records.length === 0
+          ? <>
+            <p className="text-xl">No records yet.</p>
+            <a href="#new-workout" className="underline hover:text-priRed">Begin a new workout</a>
+          </>
+          : <>
+            <input
+              onChange={handleSearch}
+              type="search"
+              className="block w-[95%] md:w-[50%] mx-auto mb-4 py-2 px-4 text-xl bg-gray-200 border border-black rounded-md"
+              placeholder="Search exercises..." />
+            {records
+              .filter(record => record.name.toLowerCase().includes(searchValue))
+              .map(record => <RecordCard key={record.exerciseId} record={record} />)}
+          </>
+      }
+    </div>
+  );
+}
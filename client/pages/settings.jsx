@@ -0,0 +1,319 @@
+import React, { useState, useContext } from 'react';
+import AppContext from '../lib/app-context';
+import { plateDefaults, plateOptions } from '../lib/plate-breakdown';
+
+function AccountSettings() {
+  const [forms, setForms] = useState({ username: '', email: '', currentPassword: '', newPassword: '', deletePassword: '' });
+  const [message, setMessage] = useState(null);
+  const [isDeleteOpen, setDeleteOpen] = useState(false);
+  const { user, accessToken, settings, setSettings, handleUserUpdate, handleSignOut } = useContext(AppContext);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForms({ ...forms, [name]: value });
+    setMessage(null);
+  }
+
+  function sendAccountRequest(url, method, body) {
+    return fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Access-Token': accessToken
+      },
+      body: JSON.stringify(body)
+    })
+      .then(response => response.status === 204 ? {} : response.json());
+  }
+
+  function changeUsername(e) {
+    e.preventDefault();
+    sendAccountRequest('/api/user/username', 'PATCH', { username: forms.username })
+      .then(result => {
+        if (result.error) {
+          setMessage({ form: 'username', error: result.error.replace('ERROR: ', '') });
+          return;
+        }
+        handleUserUpdate(result);
+        setForms({ ...forms, username: '' });
+        setMessage({ form: 'username', success: 'Username updated!' });
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  function changeEmail(e) {
+    e.preventDefault();
+    sendAccountRequest('/api/user/email', 'PATCH', { email: forms.email })
+      .then(result => {
+        if (result.error) {
+          setMessage({ form: 'email', error: result.error.replace('ERROR: ', '') });
+          return;
+        }
+        setSettings({ ...settings, email: result.email });
+        setForms({ ...forms, email: '' });
+        setMessage({ form: 'email', success: 'Email updated!' });
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  function changePassword(e) {
+    e.preventDefault();
+    const { currentPassword, newPassword } = forms;
+    sendAccountRequest('/api/user/password', 'PATCH', { currentPassword, newPassword })
+      .then(result => {
+        if (result.error) {
+          setMessage({ form: 'password', error: result.error.replace('ERROR: ', '') });
+          return;
+        }
+        setForms({ ...forms, currentPassword: '', newPassword: '' });
+        setMessage({ form: 'password', success: 'Password updated! Other devices have been signed out.' });
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  function deleteAccount(e) {
+    e.preventDefault();
+    sendAccountRequest('/api/user/account', 'DELETE', { password: forms.deletePassword })
+      .then(result => {
+        if (result.error) {
+          setMessage({ form: 'delete', error: result.error.replace('ERROR: ', '') });
+          return;
+        }
+        handleSignOut();
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  function renderMessage(form) {
+    if (!message || message.form !== form) return null;
+    return message.error
+      ? <p className="mt-3 font-bold text-priRed">{message.error}</p>
+      : <p className="mt-3 font-bold text-[#419552]">{message.success}</p>;
+  }
+
+  return (
+    <div className="w-[90%] max-w-[400px] mx-auto mt-6 p-4 rounded-md shadow-xl">
+      <p className="text-2xl mb-4">Account</p>
+      <form onSubmit={changeUsername} className="mb-6">
+        <label htmlFor="username" className="block text-xl mb-1">Username</label>
+        <input
+          required={true}
+          minLength={5}
+          type="text"
+          id="username"
+          name="username"
+          value={forms.username}
+          placeholder={user.username}
+          onChange={handleChange}
+          className="w-[80%] bg-gray-200 rounded-md p-2 text-xl" />
+        <button type="submit" className="primary-button h-[40px] w-[40%] mt-3 block mx-auto">Change</button>
+        {renderMessage('username')}
+      </form>
+      <form onSubmit={changeEmail} className="mb-6">
+        <label htmlFor="email" className="block text-xl mb-1">Email</label>
+        <p className="mb-2">Used to reset your password if you forget it.</p>
+        <input
+          required={true}
+          type="email"
+          id="email"
+          name="email"
+          value={forms.email}
+          placeholder={settings.email || 'you@example.com'}
+          onChange={handleChange}
+          className="w-[80%] bg-gray-200 rounded-md p-2 text-xl" />
+        <button type="submit" className="primary-button h-[40px] w-[40%] mt-3 block mx-auto">Change</button>
+        {renderMessage('email')}
+      </form>
+      <form onSubmit={changePassword} className="mb-6">
+        <label htmlFor="currentPassword" className="block text-xl mb-1">Current password</label>
+        <input
+          required={true}
+          type="password"
+          id="currentPassword"
+          name="currentPassword"
+          value={forms.currentPassword}
+          onChange={handleChange}
+          className="w-[80%] bg-gray-200 rounded-md p-2 text-xl" />
+        <label htmlFor="newPassword" className="block text-xl mt-3 mb-1">New password</label>
+        <input
+          required={true}
+          minLength={6}
+          type="password"
+          id="newPassword"
+          name="newPassword"
+          value={forms.newPassword}
+          onChange={handleChange}
+          className="w-[80%] bg-gray-200 rounded-md p-2 text-xl" />
+        <button type="submit" className="primary-button h-[40px] w-[40%] mt-3 block mx-auto">Change</button>
+        {renderMessage('password')}
+      </form>
+      {!isDeleteOpen
+        ? <button
+            type="button"
+            onClick={() => setDeleteOpen(true)}
+            className="h-[40px] w-[60%] border border-priRed text-priRed rounded-md shadow-xl hover:bg-priRed hover:text-white">
+            Delete Account
+          </button>
+        : <form onSubmit={deleteAccount}>
+          <p className="text-priRed font-bold mb-2">This permanently deletes your account, workouts, templates and custom exercises.</p>
+          <label htmlFor="deletePassword" className="block text-xl mb-1">Confirm with your password</label>
+          <input
+            required={true}
+            type="password"
+            id="deletePassword"
+            name="deletePassword"
+            value={forms.deletePassword}
+            onChange={handleChange}
+            className="w-[80%] bg-gray-200 rounded-md p-2 text-xl" />
+          <div className="flex justify-evenly mt-3">
+            <button
+              type="submit"
+              className="h-[40px] w-[40%] border border-priRed text-priRed rounded-md shadow-xl hover:bg-priRed hover:text-white">Delete</button>
+            <button
+              type="button"
+              onClick={() => setDeleteOpen(false)}
+              className="h-[40px] w-[40%] border border-gray-300 rounded-md shadow-xl">Cancel</button>
+          </div>
+          {renderMessage('delete')}
+        </form>
+      }
+    </div>
+  );
+}
+
+export default function Settings() {
+  const [status, setStatus] = useState(null);
+  const { accessToken, settings, setSettings } = useContext(AppContext);
+  const [plateForm, setPlateForm] = useState(null);
+  const plateSettings = plateForm || {
+    showPlates: settings.showPlates,
+    barWeight: settings.barWeight,
+    plates: settings.plates,
+    plateUnit: settings.plateUnit
+  };
+
+  function saveSettings(body) {
+    fetch('/api/user/settings', {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Access-Token': accessToken
+      },
+      body: JSON.stringify(body)
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (result.error) {
+          setStatus('error');
+          return;
+        }
+        setSettings({ ...settings, ...result });
+        setPlateForm(null);
+        setStatus('saved');
+      })
+      .catch(err => console.error('ERROR:', err));
+  }
+
+  function changeWeightUnit(weightUnit) {
+    if (weightUnit === settings.weightUnit) return;
+    saveSettings({ weightUnit });
+  }
+
+  function changePlateUnit(plateUnit) {
+    if (plateUnit === plateSettings.plateUnit) return;
+    setPlateForm({ ...plateSettings, plateUnit, ...plateDefaults[plateUnit] });
+    setStatus(null);
+  }
+
+  function togglePlate(plate) {
+    const plates = plateSettings.plates.includes(plate)
+      ? plateSettings.plates.filter(p => p !== plate)
+      : [...plateSettings.plates, plate].sort((a, b) => b - a);
+    setPlateForm({ ...plateSettings, plates });
+    setStatus(null);
+  }
+
+  function handlePlateChange(e) {
+    const { name, value, checked, type } = e.target;
+    setPlateForm({ ...plateSettings, [name]: type === 'checkbox' ? checked : value });
+    setStatus(null);
+  }
+
+  function handlePlateSubmit(e) {
+    e.preventDefault();
+    if (plateSettings.plates.length === 0) {
+      setStatus('no-plates');
+      return;
+    }
+    saveSettings({ ...plateSettings, barWeight: Number(plateSettings.barWeight) });
+  }
+
+  function renderUnitToggle(selected, onSelect) {
+    return (
+      <div className="flex justify-center">
+        {['lb', 'kg'].map(unit =>
+          <button
+            key={unit}
+            type="button"
+            onClick={() => onSelect(unit)}
+            className={`w-[40%] h-[40px] text-xl font-bold border border-black first:rounded-l-md last:rounded-r-md ${selected === unit ? 'bg-black text-priYellow' : 'bg-white hover:bg-gray-200'}`}>
+            {unit}
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="pt-[80px] pb-[80px] text-center">
+      <h4 className="text-4xl mb-5 mx-auto">Settings</h4>
+      <div className="w-[90%] max-w-[400px] mx-auto p-4 rounded-md shadow-xl">
+        <p className="text-2xl mb-1">Weight Unit</p>
+        <p className="mb-4">Past workouts are converted to the unit you choose.</p>
+        {renderUnitToggle(settings.weightUnit, changeWeightUnit)}
+      </div>
+      <form onSubmit={handlePlateSubmit} className="w-[90%] max-w-[400px] mx-auto mt-6 p-4 rounded-md shadow-xl">
+        <p className="text-2xl mb-1">Plate Calculator</p>
+        <p className="mb-4">Shows the plates to load per side on barbell sets.</p>
+        <label className="flex justify-center items-center gap-2 text-xl mb-4">
+          <input
+            type="checkbox"
+            name="showPlates"
+            checked={plateSettings.showPlates}
+            onChange={handlePlateChange}
+            className="w-5 h-5 accent-black" />
+          Show plate breakdown
+        </label>
+        {renderUnitToggle(plateSettings.plateUnit, changePlateUnit)}
+        <label htmlFor="barWeight" className="block text-xl mt-4 mb-1">{`Bar weight (${plateSettings.plateUnit})`}</label>
+        <input
+          required={true}
+          type="number"
+          min="0"
+          step="any"
+          id="barWeight"
+          name="barWeight"
+          value={plateSettings.barWeight}
+          onChange={handlePlateChange}
+          className="w-[100px] bg-gray-200 rounded-md p-2 text-xl text-center" />
+        <p className="text-xl mt-4 mb-2">Available plates</p>
+        <div className="flex flex-wrap justify-center gap-2">
+          {plateOptions[plateSettings.plateUnit].map(plate =>
+            <button
+              key={plate}
+              type="button"
+              onClick={() => togglePlate(plate)}
+              className={`min-w-[50px] px-2 py-1 rounded-full border border-black ${plateSettings.plates.includes(plate) ? 'bg-black text-priYellow' : 'bg-white hover:bg-gray-200'}`}>
+              {plate}
+            </button>
+          )}
+        </div>
+        <button type="submit" className="primary-button h-[40px] w-[40%] mt-5">Save</button>
+      </form>
+      {status === 'saved' && <p className="mt-3 font-bold text-[#419552]">Saved!</p>}
+      {status === 'error' && <p className="mt-3 font-bold text-priRed">Could not save settings.</p>}
+      {status === 'no-plates' && <p className="mt-3 font-bold text-priRed">Choose at least one plate.</p>}
+      <AccountSettings />
+    </div>
+  );
+}
@@ -1,25 +1,63 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useRef } from 'react';
 import LoadingRing from '../components/loading-ring';
 import AppContext from '../lib/app-context';
+import formatDuration from '../lib/format-duration';
+import ActiveWorkoutBanner from '../components/active-workout-banner';
+import SyncStatus from '../components/sync-status';
+import groupExercises, { getGroupLabel } from '../lib/group-exercises';
+import { formatSet } from '../lib/tracking-types';
 
 function ExerciseTableRow({ exercise }) {
+  const { settings } = useContext(AppContext);
+  const bestSet = {
+    reps: exercise.reps,
+    weight: Number(exercise.weight),
+    durationSeconds: exercise.setDurationSeconds,
+    distance: exercise.distance
+  };
+
+  const notes = [exercise.exerciseNotes, ...(exercise.setNotes || [])].filter(Boolean);
+
   return (
-    <tr>
-      <td className="py-0 px-3 md:px-5">{`${exercise.totalSets} x ${exercise.name} ${exercise.equipment === null ? '' : ` - ${exercise.equipment}`}`}</td>
-      <td className="py-0 px-3 md:px-5">{`${exercise.reps} x ${exercise.weight}`}</td>
-    </tr>
+    <>
+      <tr className={exercise.supersetGroup ? 'border-l-4 border-priYellow' : ''}>
+        <td className="py-0 px-3 md:px-5">{`${exercise.totalSets} x ${exercise.name} ${exercise.equipment === null ? '' : ` - ${exercise.equipment}`}`}</td>
+        <td className="py-0 px-3 md:px-5">{formatSet(bestSet, exercise.trackingType, settings.weightUnit)}</td>
+      </tr>
+      {notes.length > 0 &&
+        <tr className={exercise.supersetGroup ? 'border-l-4 border-priYellow' : ''}>
+          <td colSpan={2} className="pb-1 px-3 md:px-5 text-sm text-gray-600 italic">{notes.join(' - ')}</td>
+        </tr>
+      }
+    </>
   );
 }
 
 function WorkoutCard({ index, workout, workoutId }) {
   const wId = workoutId[0];
   const date = new Date(workout[wId][0].completedAt);
+  const { totalVolume, totalWorkoutSets, totalReps, durationSeconds, workoutNotes } = workout[wId][0];
+  const summary = [
+    { label: 'Volume', value: Math.round(totalVolume) },
+    { label: 'Sets', value: totalWorkoutSets },
+    { label: 'Reps', value: totalReps },
+    { label: 'Duration', value: formatDuration(durationSeconds) }
+  ];
 
   return (
     <div className=" w-[95%] min-w-[290px] max-w-[500px] bg-gray-200 mx-auto my-6 py-2 rounded-md shadow-xl">
       <div className="py-1 px-0">
         <h4 className="font-bold text-2xl mt-3">{workout[wId][0].workoutName}</h4>
-        <p className='mb-5'>{`${date.toLocaleDateString()} - ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}</p>
+        <p className='mb-3'>{`${date.toLocaleDateString()} - ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}</p>
+        {workoutNotes && <p className="mx-3 mb-3 italic whitespace-pre-line">{workoutNotes}</p>}
+        <div className="mx-3 mb-5 flex justify-between">
+          {summary.map(item =>
+            <div key={item.label} className="w-[24%] bg-white rounded-md py-1">
+              <p className="text-sm font-semibold">{item.label}</p>
+              <p>{item.value}</p>
+            </div>
+          )}
+        </div>
         <table className="table-fixed text-left w-full bg-gray-200">
           <thead>
             <tr>
@@ -28,72 +66,172 @@ function WorkoutCard({ index, workout, workoutId }) {
             </tr>
           </thead>
           <tbody>
-            {workout[wId].map(exercise => {
-              return <ExerciseTableRow
-                      key={exercise.exerciseId}
-                      exercise={exercise} />;
-            })}
+            {groupExercises(workout[wId]).map(group =>
+              <React.Fragment key={group.supersetGroup ? `group-${group.supersetGroup}` : group.exercises[0].exerciseId}>
+                {group.supersetGroup &&
+                  <tr className="border-l-4 border-priYellow">
+                    <td colSpan={2} className="pt-2 px-3 md:px-5 font-semibold">
+                      <i className="fa-solid fa-link mr-2"></i>
+                      {getGroupLabel(group)}
+                    </td>
+                  </tr>
+                }
+                {group.exercises.map(exercise =>
+                  <ExerciseTableRow
+                    key={exercise.exerciseId}
+                    exercise={exercise} />
+                )}
+              </React.Fragment>
+            )}
           </tbody>
         </table>
+        <SyncStatus workoutId={Number(wId)} hideWhenSynced={true} />
+        <a href={`#workout-detail?workoutId=${wId}`} className="inline-block mt-4 underline hover:text-priRed">View and edit workout</a>
       </div>
     </div>
   );
 }
 
+function groupByWorkout(sets) {
+  const workouts = [];
+  sets.forEach(set => {
+    const last = workouts[workouts.length - 1];
+    if (last && last[set.workoutId]) {
+      last[set.workoutId].push(set);
+      return;
+    }
+    workouts.push({ [set.workoutId]: [set] });
+  });
+  return workouts;
+}
+
+function getHistoryQuery(filters, cursor) {
+  const query = new URLSearchParams({ timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone });
+  if (filters.q) query.append('q', filters.q);
+  if (filters.from) query.append('from', filters.from);
+  if (filters.to) query.append('to', filters.to);
+  if (cursor) query.append('cursor', cursor);
+  return query;
+}
+
 export default function UserProfile() {
   const [workouts, setWorkouts] = useState(null);
+  const [totalWorkouts, setTotalWorkouts] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setLoadingMore] = useState(false);
+  const [searchValue, setSearchValue] = useState('');
+  const [filters, setFilters] = useState({ q: '', from: '', to: '' });
+  const loadMoreRef = useRef(null);
+  // Bumped whenever the filters change so pages requested for older filters are dropped.
+  const historyRequestRef = useRef(0);
   const { user, accessToken } = useContext(AppContext);
 
   useEffect(() => {
-    fetch('/api/user/workout-sets', {
+    const timeoutId = setTimeout(() => {
+      setFilters(curFilters => ({ ...curFilters, q: searchValue.trim() }));
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [searchValue]);
+
+  useEffect(() => {
+    let isCurrent = true;
+    historyRequestRef.current++;
+    setWorkouts(null);
+    setNextCursor(null);
+    fetch(`/api/user/workout-sets?${getHistoryQuery(filters)}`, {
       headers: { 'X-Access-Token': accessToken }
     })
       .then(response => response.json())
       .then(result => {
-        const final = [];
-        const splitByWorkout = {};
-        result.forEach(set => {
-          const wId = set.workoutId;
-          if (!splitByWorkout[wId]) splitByWorkout[wId] = [];
-          splitByWorkout[wId].push(set);
-        });
-        for (const key of Object.keys(splitByWorkout)) {
-          final.push({ [key]: splitByWorkout[key] });
-        }
-        final.reverse();
-        setWorkouts(final);
+        if (!isCurrent || result.error) return;
+        setWorkouts(groupByWorkout(result.sets));
+        setNextCursor(result.nextCursor);
+        setTotalWorkouts(result.totalWorkouts);
       })
       .catch(err => console.error('ERROR:', err));
-  }, [accessToken]);
+    return () => { isCurrent = false; };
+  }, [accessToken, filters]);
 
   useEffect(() => {
-    fetch('/api/user/empty-workouts', {
-      method: 'delete',
-      headers: { 'X-Access-Token': accessToken }
-    })
-      .catch(err => console.error('ERROR:', err));
-  }, [accessToken]);
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || isLoadingMore) return;
+    const observer = new IntersectionObserver(entries => {
+      if (!entries[0].isIntersecting) return;
+      observer.disconnect();
+      const historyRequest = historyRequestRef.current;
+      setLoadingMore(true);
+      fetch(`/api/user/workout-sets?${getHistoryQuery(filters, nextCursor)}`, {
+        headers: { 'X-Access-Token': accessToken }
+      })
+        .then(response => response.json())
+        .then(result => {
+          if (historyRequest !== historyRequestRef.current || result.error) return;
+          setWorkouts(curWorkouts => [...curWorkouts, ...groupByWorkout(result.sets)]);
+          setNextCursor(result.nextCursor);
+        })
+        .catch(err => console.error('ERROR:', err))
+        .finally(() => setLoadingMore(false));
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [accessToken, filters, nextCursor, isLoadingMore]);
+
+  function handleDateChange(e) {
+    const { name, value } = e.target;
+    setFilters({ ...filters, [name]: value });
+  }
+
+  const isFiltered = Boolean(filters.q || filters.from || filters.to);
 
   return (
     <div className='text-center flex flex-col md:flex-row md:min-h-screen py-[80px] md:pb-0 md:pt-[64px]'>
       <div className="w-[60%] min-w-[290px] mx-auto md:w-[30%] md:h-auto py-5 shadow-xl rounded-md md:pb-[80px]">
         <h3 className="text-4xl">{user.username}</h3>
-        <p className='block my-3'>Total Workouts: {workouts && workouts.length}</p>
-        {workouts !== null && workouts.length === 0 &&
+        <p className='block my-3'>Total Workouts: {totalWorkouts}</p>
+        {totalWorkouts === 0 &&
           <a href="#new-workout" className="underline hover:text-priRed">Begin a new workout</a>
         }
       </div>
       <div className="mx-4 pt-6 md:w-[70%]">
+        <ActiveWorkoutBanner />
+        <SyncStatus />
         <h3 className='my-5 text-3xl'>Workout History</h3>
+        <input
+          onChange={e => setSearchValue(e.target.value)}
+          type="search"
+          className="block w-[95%] max-w-[500px] mx-auto mb-2 py-2 px-4 text-xl bg-gray-200 border border-black rounded-md"
+          placeholder="Search workouts, exercises and notes..." />
+        <div className="flex justify-center items-center gap-2 mb-2">
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={handleDateChange}
+            className="bg-gray-200 rounded-md p-2" />
+          <span>to</span>
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={handleDateChange}
+            className="bg-gray-200 rounded-md p-2" />
+        </div>
         {!workouts
           ? <LoadingRing />
           : workouts.map((workout, index) => {
             return <WorkoutCard
-                    key={index}
+                    key={Object.keys(workout)[0]}
                     index={index}
                     workout={workout}
                     workoutId={Object.keys(workout)} />;
           })}
+        {workouts && workouts.length === 0 && isFiltered &&
+          <p className="text-lg my-5">No workouts match these filters.</p>
+        }
+        <div ref={loadMoreRef} />
+        {isLoadingMore && <LoadingRing />}
       </div>
     </div>
   );
@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useContext } from 'react';
+import LoadingRing from '../components/loading-ring';
+import AppContext from '../lib/app-context';
+import { formatClock } from '../lib/format-duration';
+import SyncStatus from '../components/sync-status';
+import { sendMutation } from '../lib/offline-queue';
+import { getSetLabel, formatEffort } from '../lib/set-types';
+import { getColumnLabels } from '../lib/tracking-types';
+import DurationInput from '../components/duration-input';
+
+function toDateTimeInput(date) {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 16);
+}
+
+function DetailSet({ set, setIndex, trackingType, updateSet, deleteSet }) {
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    updateSet(setIndex, { ...set, [name]: value });
+  }
+
+  const inputClass = 'w-[60px] md:w-[90px] h-[40px] rounded-md border-0 text-center text-2xl py-1 mx-2 bg-gray-100';
+  const durationInput =
+    <DurationInput
+      required={trackingType === 'duration'}
+      seconds={set.durationSeconds}
+      onChange={durationSeconds => updateSet(setIndex, { ...set, durationSeconds })}
+      className={inputClass} />;
+
+  return (
+    <div className="h-[45px] mb-1 text-center flex justify-between items-center">
+      <p
+        title={[formatEffort(set), set.notes].filter(Boolean).join(' - ') || undefined}
+        className={`mx-2 text-2xl w-[28px] font-bold ${set.setType && set.setType !== 'working' ? 'text-priRed' : ''}`}>
+        {getSetLabel(set, setIndex + 1)}
+      </p>
+      {trackingType === 'duration' && durationInput}
+      {trackingType === 'distanceTime' &&
+        <>
+          <input
+            required={true}
+            type="number"
+            min="0"
+            step="any"
+            name="distance"
+            value={set.distance === null || set.distance === undefined ? '' : set.distance}
+            onChange={handleChange}
+            className={inputClass} />
+          {durationInput}
+        </>
+      }
+      {trackingType !== 'duration' && trackingType !== 'distanceTime' &&
+        <>
+          <input
+            required={true}
+            type="number"
+            min="1"
+            name="reps"
+            value={set.reps === null ? '' : set.reps}
+            onChange={handleChange}
+            className={inputClass} />
+          <input
+            type="number"
+            min={trackingType === 'bodyweightReps' ? undefined : '0'}
+            required={trackingType !== 'bodyweightReps'}
+            step="any"
+            name="weight"
+            value={set.weight === null ? '' : set.weight}
+            onChange={handleChange}
+            className={inputClass} />
+        </>
+      }
+      <p className="w-[45px] text-gray-500">{Number.isInteger(set.restSeconds) ? formatClock(set.restSeconds) : '-'}</p>
+      <button
+        type="button"
+        onClick={() => deleteSet(setIndex)}
+        className="w-[50px] mx-2 text-priRed hover:text-black">
+        <i className="fa-solid fa-trash-can fa-lg"></i>
+      </button>
+    </div>
+  );
+}
+
+function DetailExercise({ exercise, updateExercise }) {
+  const { settings } = useContext(AppContext);
+
+  function updateSet(setIndex, updatedSet) {
+    const sets = exercise.sets.map((set, index) => index === setIndex ? updatedSet : set);
+    updateExercise({ ...exercise, sets });
+  }
+
+  function deleteSet(setIndex) {
+    const sets = exercise.sets.filter((set, index) => index !== setIndex);
+    updateExercise({ ...exercise, sets });
+  }
+
+  function addSet() {
+    const lastSet = exercise.sets[exercise.sets.length - 1];
+    const newSet = lastSet
+      ? { ...lastSet, restSeconds: null, notes: null }
+      : { reps: null, weight: 0, durationSeconds: null, distance: null, restSeconds: null };
+    updateExercise({ ...exercise, sets: [...exercise.sets, newSet] });
+  }
+
+  return (
+    <div className="w-[98%] min-w-[270px] max-w-[500px] rounded-md shadow-xl mb-5 mx-auto">
+      <h3 className="bg-black rounded-t-md font-semibold text-2xl text-priYellow py-2">
+        {`${exercise.name}${exercise.equipment === null ? '' : ` (${exercise.equipment})`}`}
+      </h3>
+      <textarea
+        onChange={e => updateExercise({ ...exercise, exerciseNotes: e.target.value })}
+        value={exercise.exerciseNotes || ''}
+        maxLength={1000}
+        rows={1}
+        placeholder="Exercise notes"
+        className="block w-[95%] mx-auto mt-2 p-2 bg-gray-100 rounded-md text-sm" />
+      <div className="px-1 pt-3 pb-0">
+        <div className="mb-4 text-center flex justify-between">
+          <p className="mx-2 text-lg font-semibold">Set</p>
+          {getColumnLabels(exercise.trackingType, settings.weightUnit).map(label =>
+            <p key={label} className="mx-2 text-lg font-semibold">{label}</p>
+          )}
+          <p className="w-[45px] text-lg font-semibold">Rest</p>
+          <p className="mx-2 w-[50px]" />
+        </div>
+        {exercise.sets.map((set, index) =>
+          <DetailSet
+            key={index}
+            set={set}
+            setIndex={index}
+            trackingType={exercise.trackingType}
+            updateSet={updateSet}
+            deleteSet={deleteSet} />
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={addSet}
+        className="w-[95%] h-[35px] mx-auto text-lg my-2 bg-gray-200 text-black rounded-md active:scale-95">Add set</button>
+    </div>
+  );
+}
+
+export default function WorkoutDetail() {
+  const [workout, setWorkout] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [deleteIsOpen, setDeleteOpen] = useState(false);
+  const { accessToken, curRoute } = useContext(AppContext);
+  const workoutId = Number(curRoute.params.get('workoutId'));
+
+  useEffect(() => {
+    fetch(`/api/user/workouts/${workoutId}`, {
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (result.error) {
+          setStatus('not-found');
+          return;
+        }
+        setWorkout({ ...result, completedAt: toDateTimeInput(result.completedAt) });
+      })
+      .catch(err => console.error('ERROR:', err));
+  }, [workoutId, accessToken]);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setWorkout({ ...workout, [name]: value });
+    setStatus(null);
+  }
+
+  function updateExercise(updatedExercise) {
+    const exercises = workout.exercises.map(exercise =>
+      exercise.exerciseId === updatedExercise.exerciseId ? updatedExercise : exercise
+    );
+    setWorkout({ ...workout, exercises });
+    setStatus(null);
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    const exercises = workout.exercises.filter(exercise => exercise.sets.length > 0);
+    if (exercises.length === 0) {
+      setDeleteOpen(true);
+      return;
+    }
+    const workoutBody = {
+      workoutName: workout.workoutName,
+      notes: workout.notes || '',
+      completedAt: new Date(workout.completedAt).toISOString(),
+      exercises
+    };
+    sendMutation(`/api/user/workouts/${workoutId}`, { method: 'PATCH', body: workoutBody, workoutId })
+      .then(() => {
+        setStatus('saved');
+        setWorkout({ ...workout, exercises });
+      })
+      .catch(err => {
+        setSaveError(err.message);
+        setStatus('error');
+      });
+  }
+
+  function handleDelete() {
+    sendMutation(`/api/user/workouts/${workoutId}`, { method: 'DELETE', workoutId })
+      .then(() => { window.location.hash = 'user-profile'; })
+      .catch(err => {
+        setDeleteOpen(false);
+        setSaveError(err.message);
+        setStatus('error');
+      });
+  }
+
+  if (status === 'not-found') {
+    return (
+      <div className="pt-[90px] text-center">
+        <p className="text-2xl my-5">Workout not found.</p>
+        <a href="#user-profile" className="underline text-xl hover:text-priRed">Go Back</a>
+      </div>
+    );
+  }
+
+  return (
+    <div className="pt-[80px] pb-[90px] text-center">
+      {!workout
+        ? <LoadingRing />
+        : <form onSubmit={handleSave}>
+          <div className="w-[90%] max-w-[400px] mx-auto mb-6 flex flex-col gap-2 text-left">
+            <label htmlFor="workoutName" className="text-xl">Workout Name</label>
+            <input
+              onChange={handleChange}
+              required={true}
+              type="text"
+              id="workoutName"
+              name="workoutName"
+              maxLength={20}
+              value={workout.workoutName}
+              className="bg-gray-200 rounded-md p-2 text-xl" />
+            <label htmlFor="completedAt" className="text-xl">Completed</label>
+            <input
+              onChange={handleChange}
+              required={true}
+              type="datetime-local"
+              id="completedAt"
+              name="completedAt"
+              value={workout.completedAt}
+              className="bg-gray-200 rounded-md p-2 text-xl" />
+            <label htmlFor="notes" className="text-xl">Notes</label>
+            <textarea
+              onChange={handleChange}
+              id="notes"
+              name="notes"
+              maxLength={1000}
+              rows={3}
+              value={workout.notes || ''}
+              className="bg-gray-200 rounded-md p-2" />
+          </div>
+          {workout.exercises.map(exercise =>
+            <DetailExercise
+              key={exercise.exerciseId}
+              exercise={exercise}
+              updateExercise={updateExercise} />
+          )}
+          <SyncStatus workoutId={workoutId} />
+          {status === 'saved' && <p className="text-lg font-bold text-[#419552] mb-2">Workout saved!</p>}
+          {status === 'error' && <p className="text-lg font-bold text-priRed mb-2">{saveError || 'Could not save workout.'}</p>}
+          <div className="flex justify-center gap-4">
+            <button type="submit" className="primary-button h-[40px] w-[40%] max-w-[200px]">Save</button>
+            <button
+              type="button"
+              onClick={() => setDeleteOpen(true)}
+              className="h-[40px] w-[40%] max-w-[200px] border border-priRed text-priRed rounded-md shadow-xl hover:bg-priRed hover:text-white">
+              Delete Workout
+            </button>
+          </div>
+          <a href="#user-profile" className="block mt-6 underline hover:text-priRed">Back to history</a>
+        </form>
+      }
+      {deleteIsOpen &&
+        <div className="z-30 fixed top-0 left-0 h-full w-full">
+          <div
+            className="absolute w-full h-full bg-modalGrey"
+            onClick={() => setDeleteOpen(false)} />
+          <div className="absolute w-[340px] md:w-[400px] bg-white p-3 left-0 right-0 top-[100px] mx-auto rounded-md">
+            <p className="text-2xl my-4">Delete this workout?</p>
+            <p className="text-xl text-priRed mb-4">This can&apos;t be undone.</p>
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="h-[40px] w-[40%] m-3 rounded-md bg-priRed text-white font-bold">Delete</button>
+            <button
+              type="button"
+              onClick={() => setDeleteOpen(false)}
+              className="h-[40px] w-[40%] m-3 border border-gray-300 rounded-md shadow-xl">Cancel</button>
+          </div>
+        </div>
+      }
+    </div>
+  );
+}
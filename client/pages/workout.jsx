@@ -3,6 +3,8 @@ import AppContext from '../lib/app-context';
 import ReplaceExerciseModal from '../components/replace-exercise-modal';
 import SaveWorkoutModal from '../components/save-workout-modal';
 import EditWorkout from '../components/edit-workout';
+import SyncStatus from '../components/sync-status';
+import { sendMutation, getLocalWorkout, saveLocalWorkout } from '../lib/offline-queue';
 
 export default function WorkoutPage() {
   const [workout, setWorkout] = useState(null);
@@ -10,31 +12,73 @@ export default function WorkoutPage() {
   const [editWorkoutNameOpen, setEditWorkoutNameOpen] = useState(false);
   const [replaceModalIsOpen, setReplaceModalOpenClose] = useState(false);
   const [saveWorkoutModalIsOpen, setSaveWorkoutModalOpen] = useState(false);
+  const [records, setRecords] = useState(null);
   const { accessToken, curWorkout: workoutId } = useContext(AppContext);
 
   useEffect(() => {
-    fetch(`/api/workout/${workoutId}`, {
-      headers: { 'X-Access-Token': accessToken }
-    })
-      .then(response => response.json())
+    if (!workoutId) return;
+    const loadWorkout = workoutId < 0
+      ? getLocalWorkout(workoutId)
+      : fetch(`/api/workout/${workoutId}`, { headers: { 'X-Access-Token': accessToken } })
+        .then(response => response.json())
+        .then(result => result.error ? getLocalWorkout(workoutId) : result)
+        .catch(() => getLocalWorkout(workoutId));
+    loadWorkout
       .then(result => {
+        const draftExercises = result.draft ? result.draft.exercises : [];
         const updatedExer = result.exercises.map(exer => {
-          exer.sets = [{ reps: 0, setOrder: 1, weight: 0, isDone: false }];
+          const draftExer = draftExercises.find(draft => draft.exerciseId === exer.exerciseId);
+          if (draftExer) {
+            exer.sets = draftExer.sets;
+            exer.exerciseNotes = draftExer.exerciseNotes;
+            return exer;
+          }
+          if (exer.previousSets.length === 0) {
+            exer.sets = [{ reps: 0, setOrder: 1, weight: 0, isDone: false }];
+            return exer;
+          }
+          exer.sets = exer.previousSets.map((prevSet, index) => {
+            const previous = { reps: prevSet.reps, weight: prevSet.weight, durationSeconds: prevSet.durationSeconds, distance: prevSet.distance };
+            return { reps: 0, setOrder: index + 1, weight: 0, isDone: false, setType: prevSet.setType || 'working', previous };
+          });
           return exer;
         });
         result.exercises = updatedExer;
+        delete result.draft;
         setWorkout(result);
       })
       .catch(err => console.error('ERROR:', err));
     return () => setWorkout(null);
   }, [workoutId, accessToken]);
 
+  useEffect(() => {
+    if (!workout) return;
+    const timeoutId = setTimeout(() => {
+      const { workoutId, workoutName, notes, exercises } = workout;
+      saveLocalWorkout({ workoutId, workoutName, notes, exercises, draft: { exercises } })
+        .then(() => sendMutation(`/api/workout/${workoutId}/draft`, {
+          method: 'PUT',
+          body: { workoutName, notes, exercises },
+          workoutId,
+          coalesce: true
+        }))
+        .catch(err => console.error('ERROR:', err));
+    }, 1000);
+    return () => clearTimeout(timeoutId);
+  }, [workout]);
+
+  useEffect(() => {
+    fetch('/api/user/records', {
+      headers: { 'X-Access-Token': accessToken }
+    })
+      .then(response => response.json())
+      .then(result => setRecords(result))
+      .catch(err => console.error('ERROR:', err));
+  }, [accessToken]);
+
   function deleteExercise(exerciseIds) {
     exerciseIds.forEach(exerciseId =>
-      fetch(`/api/workout/${workoutId}/exercise/${exerciseId}`, {
-        method: 'delete',
-        headers: { 'X-Access-Token': accessToken }
-      })
+      sendMutation(`/api/workout/${workoutId}/exercise/${exerciseId}`, { method: 'DELETE', workoutId })
         .catch(err => console.error('ERROR:', err))
     );
   }
@@ -43,6 +87,10 @@ export default function WorkoutPage() {
     setWorkout({ ...workout, workoutName: e.target.value });
   }
 
+  function handleNotesChange(e) {
+    setWorkout({ ...workout, notes: e.target.value });
+  }
+
   function toggleReplaceModal() {
     setReplaceModalOpenClose(!replaceModalIsOpen);
     if (replaceModalIsOpen) setExerToReplace({ exerciseId: null, name: null });
@@ -57,7 +105,7 @@ export default function WorkoutPage() {
   }
 
   return (
-    <div className='pt-[60px] pb-[70px] text-center'>
+    <div className='pt-[60px] pb-[140px] text-center'>
       <ReplaceExerciseModal
         exerToReplace={exerToReplace}
         replaceModalIsOpen={replaceModalIsOpen}
@@ -82,17 +130,28 @@ export default function WorkoutPage() {
             </>
         }
       </div>
+      {workout &&
+        <textarea
+          onChange={handleNotesChange}
+          value={workout.notes || ''}
+          maxLength={1000}
+          rows={2}
+          placeholder="Workout notes"
+          className="block w-[90%] max-w-[500px] mx-auto mt-2 p-2 bg-gray-100 rounded-md" />
+      }
       <button
         type="button"
         className="primary-button h-[40px] mt-3 px-6"
         onClick={toggleSaveModal}>Save Workout</button>
+      <SyncStatus workoutId={workoutId} />
       <EditWorkout
         workout={workout}
         setWorkout={setWorkout}
         replaceModalIsOpen={replaceModalIsOpen}
         toggleReplaceModal={toggleReplaceModal}
         setExerToReplace={setExerToReplace}
-        deleteExercise={deleteExercise} />
+        deleteExercise={deleteExercise}
+        records={records} />
     </div>
   );
 }
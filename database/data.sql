@@ -1,44 +1,121 @@
-insert into "exercises" ("exerciseId", "name", "muscleGroup", "equipment")
-values                  (1, 'Bench Press', 'Chest', 'Barbell'),
-                        (2, 'Bench Press', 'Chest', 'Dumbbell'),
-                        (3, 'Incline Press', 'Chest', 'Barbell'),
-                        (4, 'Incline Press', 'Chest', 'Dumbbell'),
-                        (5, 'Decline Press', 'Chest', 'Barbell'),
-                        (6, 'Decline Press', 'Chest', 'Dumbbell'),
-                        (7, 'Pec Deck', 'Chest', null),
-                        (8, 'Chest Fly', 'Chest', 'Cable'),
-                        (9, 'Dips', 'Chest', null),
-                        (10, 'Tricep Overhead Ext.', 'Triceps', 'Dumbbell'),
-                        (11, 'Skullcrusher', 'Triceps', 'Barbell'),
-                        (12, 'Tricep Extension', 'Triceps', 'Cable'),
-                        (13, 'Deadlift', 'Legs, Back', 'Barbell'),
-                        (14, 'Pull Ups', 'Back', null),
-                        (15, 'Chin Ups', 'Back', null),
-                        (16, 'Lat Pulldown', 'Back', 'Cable bar'),
-                        (17, 'Seated Row', 'Back', 'Cable'),
-                        (18, 'One Arm Row', 'Back', 'Dumbbell'),
-                        (19, 'T-Bar Row', 'Back', 'T-Bar'),
-                        (20, 'Bicep Curl', 'Biceps', 'Barbell'),
-                        (21, 'Alt. Bicep Curl', 'Biceps', 'Dumbbell'),
-                        (22, 'Hammer Curl', 'Biceps', 'Dumbbell'),
-                        (23, 'Overhand Curl', 'Biceps', 'Barbell'),
-                        (24, 'Overhand Curl', 'Biceps', 'Dumbbell'),
-                        (25, 'Overhead Press', 'Deltoids', 'Barbell'),
-                        (26, 'Overhead Press', 'Deltoids', 'Machine'),
-                        (27, 'Seated Overhead Press', 'Deltoids', 'Dumbbell'),
-                        (28, 'Lateral Raises', 'Deltoids', 'Dumbbell'),
-                        (29, 'Cable Lateral Raises', 'Deltoids', 'Cable'),
-                        (30, 'Front Raises', 'Deltoids', 'Dumbbell'),
-                        (31, 'Reverse Fly', 'Deltoids', 'Dumbbell'),
-                        (32, 'Reverse Fly', 'Deltoids', 'Machine'),
-                        (33, 'Face Pull', 'Deltoids', 'Cable'),
-                        (34, 'Squats', 'Legs', 'Barbell'),
-                        (35, 'Leg Press', 'Legs', 'Machine'),
-                        (36, 'Sumo Deadlift', 'Legs', 'Barbell'),
-                        (37, 'Romainian Deadlift', 'Legs', 'Barbell'),
-                        (38, 'Lounges', 'Legs', 'Barbell'),
-                        (39, 'Front Squat', 'Legs', 'Barbell'),
-                        (40, 'Hip Thrust', 'Legs', 'Barbell'),
-                        (41, 'Leg Extension', 'Legs', 'Machine'),
-                        (42, 'Leg Curl', 'Legs', 'Machine'),
-                        (43, 'Calf Raise', 'Legs', 'Dumbbell');
+insert into "muscleGroups" ("muscleGroupId", "name")
+values                  (1, 'Chest'),
+                        (2, 'Triceps'),
+                        (3, 'Legs'),
+                        (4, 'Back'),
+                        (5, 'Biceps'),
+                        (6, 'Deltoids'),
+                        (7, 'Core'),
+                        (8, 'Cardio');
+
+insert into "exercises" ("exerciseId", "name", "equipment")
+values                  (1, 'Bench Press', 'Barbell'),
+                        (2, 'Bench Press', 'Dumbbell'),
+                        (3, 'Incline Press', 'Barbell'),
+                        (4, 'Incline Press', 'Dumbbell'),
+                        (5, 'Decline Press', 'Barbell'),
+                        (6, 'Decline Press', 'Dumbbell'),
+                        (7, 'Pec Deck', null),
+                        (8, 'Chest Fly', 'Cable'),
+                        (9, 'Dips', null),
+                        (10, 'Tricep Overhead Ext.', 'Dumbbell'),
+                        (11, 'Skullcrusher', 'Barbell'),
+                        (12, 'Tricep Extension', 'Cable'),
+                        (13, 'Deadlift', 'Barbell'),
+                        (14, 'Pull Ups', null),
+                        (15, 'Chin Ups', null),
+                        (16, 'Lat Pulldown', 'Cable bar'),
+                        (17, 'Seated Row', 'Cable'),
+                        (18, 'One Arm Row', 'Dumbbell'),
+                        (19, 'T-Bar Row', 'T-Bar'),
+                        (20, 'Bicep Curl', 'Barbell'),
+                        (21, 'Alt. Bicep Curl', 'Dumbbell'),
+                        (22, 'Hammer Curl', 'Dumbbell'),
+                        (23, 'Overhand Curl', 'Barbell'),
+                        (24, 'Overhand Curl', 'Dumbbell'),
+                        (25, 'Overhead Press', 'Barbell'),
+                        (26, 'Overhead Press', 'Machine'),
+                        (27, 'Seated Overhead Press', 'Dumbbell'),
+                        (28, 'Lateral Raises', 'Dumbbell'),
+                        (29, 'Cable Lateral Raises', 'Cable'),
+                        (30, 'Front Raises', 'Dumbbell'),
+                        (31, 'Reverse Fly', 'Dumbbell'),
+                        (32, 'Reverse Fly', 'Machine'),
+                        (33, 'Face Pull', 'Cable'),
+                        (34, 'Squats', 'Barbell'),
+                        (35, 'Leg Press', 'Machine'),
+                        (36, 'Sumo Deadlift', 'Barbell'),
+                        (37, 'Romainian Deadlift', 'Barbell'),
+                        (38, 'Lounges', 'Barbell'),
+                        (39, 'Front Squat', 'Barbell'),
+                        (40, 'Hip Thrust', 'Barbell'),
+                        (41, 'Leg Extension', 'Machine'),
+                        (42, 'Leg Curl', 'Machine'),
+                        (43, 'Calf Raise', 'Dumbbell');
+
+insert into "exercises" ("exerciseId", "name", "equipment", "trackingType")
+values                  (44, 'Plank', null, 'duration'),
+                        (45, 'Hanging Leg Raise', null, 'bodyweightReps'),
+                        (46, 'Running', null, 'distanceTime'),
+                        (47, 'Rowing', 'Machine', 'distanceTime'),
+                        (48, 'Cycling', 'Machine', 'distanceTime');
+
+-- Pull ups, chin ups and dips log bodyweight reps, with optional added or assisted weight.
+update "exercises"
+set    "trackingType" = 'bodyweightReps'
+where  "exerciseId" in (9, 14, 15);
+
+insert into "exerciseMuscleGroups" ("exerciseId", "muscleGroupId")
+values                  (1, 1),
+                        (2, 1),
+                        (3, 1),
+                        (4, 1),
+                        (5, 1),
+                        (6, 1),
+                        (7, 1),
+                        (8, 1),
+                        (9, 1),
+                        (10, 2),
+                        (11, 2),
+                        (12, 2),
+                        (13, 3),
+                        (13, 4),
+                        (14, 4),
+                        (15, 4),
+                        (16, 4),
+                        (17, 4),
+                        (18, 4),
+                        (19, 4),
+                        (20, 5),
+                        (21, 5),
+                        (22, 5),
+                        (23, 5),
+                        (24, 5),
+                        (25, 6),
+                        (26, 6),
+                        (27, 6),
+                        (28, 6),
+                        (29, 6),
+                        (30, 6),
+                        (31, 6),
+                        (32, 6),
+                        (33, 6),
+                        (34, 3),
+                        (35, 3),
+                        (36, 3),
+                        (37, 3),
+                        (38, 3),
+                        (39, 3),
+                        (40, 3),
+                        (41, 3),
+                        (42, 3),
+                        (43, 3),
+                        (44, 7),
+                        (45, 7),
+                        (46, 8),
+                        (47, 8),
+                        (47, 4),
+                        (48, 8);
+
+select setval('"muscleGroups_muscleGroupId_seq"', (select max("muscleGroupId") from "muscleGroups"));
+select setval('"exercises_exerciseId_seq"', (select max("exerciseId") from "exercises"));
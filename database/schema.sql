@@ -9,7 +9,13 @@ create schema "public";
 CREATE TABLE "public"."users" (
 	"userId" serial NOT NULL UNIQUE,
 	"username" TEXT NOT NULL UNIQUE,
+	"email" TEXT UNIQUE,
 	"hashedPassword" TEXT NOT NULL,
+	"weightUnit" TEXT NOT NULL DEFAULT 'lb' CHECK ("weightUnit" in ('kg', 'lb')),
+	"showPlates" BOOLEAN NOT NULL DEFAULT true,
+	"barWeight" numeric NOT NULL DEFAULT 45 CHECK ("barWeight" >= 0),
+	"plates" numeric[] NOT NULL DEFAULT '{45,35,25,10,5,2.5}',
+	"plateUnit" TEXT NOT NULL DEFAULT 'lb' CHECK ("plateUnit" in ('kg', 'lb')),
 	"createdAt" timestamptz(6) NOT NULL DEFAULT now(),
 	CONSTRAINT "users_pk" PRIMARY KEY ("userId")
 ) WITH (
@@ -21,8 +27,12 @@ CREATE TABLE "public"."users" (
 CREATE TABLE "public"."workouts" (
 	"workoutId" serial NOT NULL UNIQUE,
 	"userId" serial NOT NULL,
+  "startedAt" timestamptz(6) NOT NULL DEFAULT now(),
   "completedAt" timestamptz(6) DEFAULT NULL,
   "workoutName" text,
+  "draft" jsonb DEFAULT NULL,
+  "notes" text,
+  "idempotencyKey" text,
 	CONSTRAINT "workouts_pk" PRIMARY KEY ("workoutId")
 ) WITH (
   OIDS=FALSE
@@ -33,8 +43,9 @@ CREATE TABLE "public"."workouts" (
 CREATE TABLE "public"."exercises" (
 	"exerciseId" serial NOT NULL UNIQUE,
 	"name" TEXT NOT NULL,
-	"muscleGroup" TEXT NOT NULL,
 	"equipment" TEXT,
+	"userId" int DEFAULT NULL,
+	"trackingType" TEXT NOT NULL DEFAULT 'weightReps' CHECK ("trackingType" in ('weightReps', 'bodyweightReps', 'duration', 'distanceTime')),
 	CONSTRAINT "exercises_pk" PRIMARY KEY ("exerciseId")
 ) WITH (
   OIDS=FALSE
@@ -42,21 +53,154 @@ CREATE TABLE "public"."exercises" (
 
 
 
+CREATE TABLE "public"."muscleGroups" (
+	"muscleGroupId" serial NOT NULL UNIQUE,
+	"name" TEXT NOT NULL UNIQUE,
+	CONSTRAINT "muscleGroups_pk" PRIMARY KEY ("muscleGroupId")
+) WITH (
+  OIDS=FALSE
+);
+
+
+
+CREATE TABLE "public"."exerciseMuscleGroups" (
+	"exerciseId" int NOT NULL,
+	"muscleGroupId" int NOT NULL,
+	CONSTRAINT "exerciseMuscleGroups_pk" PRIMARY KEY ("exerciseId", "muscleGroupId")
+) WITH (
+  OIDS=FALSE
+);
+
+
+
 CREATE TABLE "public"."sets" (
 	"workoutId" serial NOT NULL,
 	"exerciseId" serial NOT NULL,
 	"setOrder" int NOT NULL,
 	"reps" int,
-	"weight" numeric
+	"weight" numeric,
+	"durationSeconds" int CHECK ("durationSeconds" >= 0),
+	"distance" numeric CHECK ("distance" >= 0),
+	"weightUnit" TEXT CHECK ("weightUnit" in ('kg', 'lb')),
+	"restSeconds" int CHECK ("restSeconds" >= 0),
+	"supersetGroup" int,
+	"exerciseOrder" int,
+	"setType" TEXT NOT NULL DEFAULT 'working' CHECK ("setType" in ('warmup', 'working', 'drop', 'failure', 'amrap')),
+	"rpe" numeric CHECK ("rpe" between 1 and 10),
+	"rir" int CHECK ("rir" between 0 and 10),
+	"exerciseNotes" text,
+	"notes" text,
+	CHECK ("rpe" is null or "rir" is null)
 ) WITH (
   OIDS=FALSE
 );
 
 
 
+CREATE TABLE "public"."templates" (
+	"templateId" serial NOT NULL UNIQUE,
+	"userId" int NOT NULL,
+	"templateName" TEXT NOT NULL,
+	"createdAt" timestamptz(6) NOT NULL DEFAULT now(),
+	CONSTRAINT "templates_pk" PRIMARY KEY ("templateId")
+) WITH (
+  OIDS=FALSE
+);
 
-ALTER TABLE "workouts" ADD CONSTRAINT "workouts_fk0" FOREIGN KEY ("userId") REFERENCES "users"("userId");
 
 
-ALTER TABLE "sets" ADD CONSTRAINT "sets_fk0" FOREIGN KEY ("workoutId") REFERENCES "workouts"("workoutId");
+CREATE TABLE "public"."templateExercises" (
+	"templateId" int NOT NULL,
+	"exerciseId" int NOT NULL,
+	"exerciseOrder" int NOT NULL
+) WITH (
+  OIDS=FALSE
+);
+
+
+
+CREATE TABLE "public"."restTimes" (
+	"userId" int NOT NULL,
+	"exerciseId" int NOT NULL,
+	"restSeconds" int NOT NULL CHECK ("restSeconds" > 0),
+	CONSTRAINT "restTimes_pk" PRIMARY KEY ("userId", "exerciseId")
+) WITH (
+  OIDS=FALSE
+);
+
+
+
+
+CREATE TABLE "public"."sessions" (
+	"sessionId" serial NOT NULL UNIQUE,
+	"userId" int NOT NULL,
+	"hashedToken" TEXT NOT NULL UNIQUE,
+	"createdAt" timestamptz(6) NOT NULL DEFAULT now(),
+	"expiresAt" timestamptz(6) NOT NULL,
+	"revokedAt" timestamptz(6) DEFAULT NULL,
+	CONSTRAINT "sessions_pk" PRIMARY KEY ("sessionId")
+) WITH (
+  OIDS=FALSE
+);
+
+
+
+
+CREATE TABLE "public"."passwordResets" (
+	"resetId" serial NOT NULL UNIQUE,
+	"userId" int NOT NULL,
+	"hashedToken" TEXT NOT NULL UNIQUE,
+	"createdAt" timestamptz(6) NOT NULL DEFAULT now(),
+	"expiresAt" timestamptz(6) NOT NULL,
+	"usedAt" timestamptz(6) DEFAULT NULL,
+	CONSTRAINT "passwordResets_pk" PRIMARY KEY ("resetId")
+) WITH (
+  OIDS=FALSE
+);
+
+
+
+
+-- Set weights are stored in kilograms; these convert to and from the unit a user sees.
+CREATE FUNCTION "toKilograms"("weight" numeric, "unit" text) RETURNS numeric AS $$
+  select case "unit" when 'lb' then "weight" * 0.45359237 else "weight" end;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE FUNCTION "fromKilograms"("weight" numeric, "unit" text) RETURNS numeric AS $$
+  select round(case "unit" when 'lb' then "weight" / 0.45359237 else "weight" end, 2);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Set distances are stored in meters and shown in miles for lb users or kilometers for kg users.
+CREATE FUNCTION "toMeters"("distance" numeric, "unit" text) RETURNS numeric AS $$
+  select "distance" * case "unit" when 'lb' then 1609.344 else 1000 end;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE FUNCTION "fromMeters"("distance" numeric, "unit" text) RETURNS numeric AS $$
+  select round("distance" / case "unit" when 'lb' then 1609.344 else 1000 end, 2);
+$$ LANGUAGE sql IMMUTABLE;
+
+
+
+
+ALTER TABLE "workouts" ADD CONSTRAINT "workouts_fk0" FOREIGN KEY ("userId") REFERENCES "users"("userId") ON DELETE CASCADE;
+
+
+ALTER TABLE "exercises" ADD CONSTRAINT "exercises_fk0" FOREIGN KEY ("userId") REFERENCES "users"("userId") ON DELETE CASCADE;
+
+ALTER TABLE "exerciseMuscleGroups" ADD CONSTRAINT "exerciseMuscleGroups_fk0" FOREIGN KEY ("exerciseId") REFERENCES "exercises"("exerciseId") ON DELETE CASCADE;
+ALTER TABLE "exerciseMuscleGroups" ADD CONSTRAINT "exerciseMuscleGroups_fk1" FOREIGN KEY ("muscleGroupId") REFERENCES "muscleGroups"("muscleGroupId");
+
+
+ALTER TABLE "sets" ADD CONSTRAINT "sets_fk0" FOREIGN KEY ("workoutId") REFERENCES "workouts"("workoutId") ON DELETE CASCADE;
 ALTER TABLE "sets" ADD CONSTRAINT "sets_fk1" FOREIGN KEY ("exerciseId") REFERENCES "exercises"("exerciseId");
+
+ALTER TABLE "templates" ADD CONSTRAINT "templates_fk0" FOREIGN KEY ("userId") REFERENCES "users"("userId") ON DELETE CASCADE;
+
+ALTER TABLE "templateExercises" ADD CONSTRAINT "templateExercises_fk0" FOREIGN KEY ("templateId") REFERENCES "templates"("templateId") ON DELETE CASCADE;
+ALTER TABLE "templateExercises" ADD CONSTRAINT "templateExercises_fk1" FOREIGN KEY ("exerciseId") REFERENCES "exercises"("exerciseId");
+
+ALTER TABLE "restTimes" ADD CONSTRAINT "restTimes_fk0" FOREIGN KEY ("userId") REFERENCES "users"("userId") ON DELETE CASCADE;
+ALTER TABLE "restTimes" ADD CONSTRAINT "restTimes_fk1" FOREIGN KEY ("exerciseId") REFERENCES "exercises"("exerciseId") ON DELETE CASCADE;
+
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_fk0" FOREIGN KEY ("userId") REFERENCES "users"("userId") ON DELETE CASCADE;
+ALTER TABLE "passwordResets" ADD CONSTRAINT "passwordResets_fk0" FOREIGN KEY ("userId") REFERENCES "users"("userId") ON DELETE CASCADE;
@@ -1,12 +1,29 @@
 const jwt = require('jsonwebtoken');
 const ClientError = require('../server/client-error');
 
-function authorizationMiddleware(req, res, next) {
-  const xAccessToken = req.get('X-Access-Token');
-  if (!xAccessToken) throw new ClientError(401, 'Authentication required');
-  const verifiedToken = jwt.verify(xAccessToken, process.env.TOKEN_SECRET);
-  req.user = verifiedToken;
-  next();
+function authorizationMiddleware(db) {
+  return function authorize(req, res, next) {
+    const xAccessToken = req.get('X-Access-Token');
+    if (!xAccessToken) throw new ClientError(401, 'Authentication required');
+    const verifiedToken = jwt.verify(xAccessToken, process.env.TOKEN_SECRET);
+    if (!verifiedToken.sessionId) throw new ClientError(401, 'Session expired, please sign in again');
+    const params = [verifiedToken.sessionId, verifiedToken.userId];
+    const sql = `
+      select "sessionId"
+      from   "sessions"
+      where  "sessionId" = $1
+      and    "userId" = $2
+      and    "revokedAt" is null
+      and    "expiresAt" > now();
+    `;
+    db.query(sql, params)
+      .then(result => {
+        if (!result.rows[0]) throw new ClientError(401, 'Session expired, please sign in again');
+        req.user = verifiedToken;
+        next();
+      })
+      .catch(err => next(err));
+  };
 }
 
 module.exports = authorizationMiddleware;
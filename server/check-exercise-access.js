@@ -0,0 +1,27 @@
+const ClientError = require('./client-error');
+
+// Custom exercises are private, so any exercise id a user sends must be built in or their own.
+// Resolves with each exercise's tracking type, keyed by exerciseId.
+function checkExerciseAccess(db, userId, exerciseIds) {
+  const ids = [...new Set(exerciseIds.map(Number))];
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    return Promise.reject(new ClientError(400, 'ERROR: Invalid exerciseId.'));
+  }
+  const params = [ids, userId];
+  const sql = `
+    select "exerciseId",
+           "trackingType"
+    from   "exercises"
+    where  "exerciseId" = any($1::int[])
+    and    ("userId" is null or "userId" = $2);
+  `;
+  return db.query(sql, params)
+    .then(result => {
+      if (result.rows.length < ids.length) throw new ClientError(400, 'ERROR: Exercise not found.');
+      const trackingTypes = {};
+      result.rows.forEach(exercise => { trackingTypes[exercise.exerciseId] = exercise.trackingType; });
+      return trackingTypes;
+    });
+}
+
+module.exports = checkExerciseAccess;
@@ -1,11 +1,15 @@
 const ClientError = require('./client-error');
-const { JsonWebTokenError } = require('jsonwebtoken');
+const { JsonWebTokenError, TokenExpiredError } = require('jsonwebtoken');
 
 function errorMiddleware(err, req, res, next) {
   if (err instanceof ClientError) {
     res.status(err.status).json({
       error: err.message
     });
+  } else if (err instanceof TokenExpiredError) {
+    res.status(401).json({
+      error: 'Access token expired'
+    });
   } else if (err instanceof JsonWebTokenError) {
     res.status(401).json({
       error: 'Invalid access token'
@@ -3,21 +3,39 @@ const path = require('path');
 const express = require('express');
 const pg = require('pg');
 const argon2 = require('argon2');
-const jwt = require('jsonwebtoken');
 const errorMiddleware = require('./error-middleware');
 const authorizationMiddleware = require('./authorization-middleware');
 const ClientError = require('./client-error');
+const parseNotes = require('./parse-notes');
+const parseWorkoutSets = require('./parse-workout-sets');
+const withTransaction = require('./with-transaction');
+const checkExerciseAccess = require('./check-exercise-access');
+const workoutOwnershipMiddleware = require('./workout-ownership-middleware');
+const { refreshTokenLifetime, hashToken, createSecretToken, signAccessToken } = require('./session-tokens');
+const parseEmail = require('./parse-email');
+const parseTimeZone = require('./parse-time-zone');
+const createMailTransport = require('./mail-transport');
 
 const app = express();
 const jsonMiddleware = express.json();
 app.use(jsonMiddleware);
 const publicPath = path.join(__dirname, 'public');
 
+const mailer = createMailTransport({
+  transport: process.env.MAIL_TRANSPORT || undefined,
+  mailDir: process.env.MAIL_DIR || undefined,
+  smtpUrl: process.env.SMTP_URL || undefined,
+  from: process.env.MAIL_FROM || undefined,
+  isProduction: process.env.NODE_ENV === 'production'
+});
+
+// Hosted production databases need SSL; local ones usually don't support it.
+// An `sslmode` in DATABASE_URL overrides this either way.
 const db = new pg.Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
-  }
+  ssl: process.env.NODE_ENV === 'production'
+    ? { rejectUnauthorized: false }
+    : false
 });
 
 if (process.env.NODE_ENV === 'development') {
@@ -29,13 +47,14 @@ if (process.env.NODE_ENV === 'development') {
 app.post('/api/auth/sign-up', (req, res, next) => {
   const { username, password } = req.body;
   if (!username || !password) throw new ClientError(400, 'ERROR: Username and password are required fields.');
+  const email = parseEmail(req.body.email);
   argon2
     .hash(password)
     .then(hashedPassword => {
-      const params = [username, hashedPassword];
+      const params = [username, hashedPassword, email];
       const sql = `
-      insert into "users" ("username", "hashedPassword")
-      values              ($1, $2)
+      insert into "users" ("username", "hashedPassword", "email")
+      values              ($1, $2, $3)
       returning "userId", "username", "createdAt";
       `;
       return db.query(sql, params);
@@ -44,7 +63,11 @@ app.post('/api/auth/sign-up', (req, res, next) => {
       const [user] = result.rows;
       res.status(201).json(user);
     })
-    .catch(err => next(err));
+    .catch(err => {
+      if (err.constraint === 'users_email_key') return next(new ClientError(409, 'ERROR: Email is already in use.'));
+      if (err.constraint === 'users_username_key') return next(new ClientError(409, 'ERROR: Username already exists.'));
+      next(err);
+    });
 });
 
 app.post('/api/auth/sign-in', (req, res, next) => {
@@ -65,15 +88,172 @@ app.post('/api/auth/sign-in', (req, res, next) => {
         .verify(hashedPassword, password)
         .then(isMatching => {
           if (!isMatching) throw new ClientError(401, 'Invalid login.');
-          const payload = { userId, username };
-          const token = jwt.sign(payload, process.env.TOKEN_SECRET);
-          res.status(200).json({ token, user: payload });
+          const refreshToken = createSecretToken();
+          const params = [userId, hashToken(refreshToken), refreshTokenLifetime];
+          const sql = `
+          insert into "sessions" ("userId", "hashedToken", "expiresAt")
+          values                 ($1, $2, now() + $3::interval)
+          returning "sessionId";
+          `;
+          return db.query(sql, params)
+            .then(result => {
+              const [session] = result.rows;
+              const token = signAccessToken({ userId, username: user.username, sessionId: session.sessionId });
+              res.status(200).json({ token, refreshToken, user: { userId, username: user.username } });
+            });
         })
         .catch(err => next(err));
     })
     .catch(err => next(err));
 });
 
+app.post('/api/auth/refresh', (req, res, next) => {
+  const { refreshToken } = req.body;
+  if (typeof refreshToken !== 'string' || !refreshToken) throw new ClientError(401, 'Invalid refresh token.');
+  const newRefreshToken = createSecretToken();
+  const params = [hashToken(refreshToken), hashToken(newRefreshToken), refreshTokenLifetime];
+  const sql = `
+    update    "sessions"
+    set       "hashedToken" = $2,
+              "expiresAt" = now() + $3::interval
+    from      "users"
+    where     "sessions"."hashedToken" = $1
+    and       "sessions"."revokedAt" is null
+    and       "sessions"."expiresAt" > now()
+    and       "users"."userId" = "sessions"."userId"
+    returning "sessions"."sessionId",
+              "users"."userId",
+              "users"."username";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [session] = result.rows;
+      if (!session) throw new ClientError(401, 'Invalid refresh token.');
+      const { userId, username } = session;
+      res.status(200).json({
+        token: signAccessToken(session),
+        refreshToken: newRefreshToken,
+        user: { userId, username }
+      });
+    })
+    .catch(err => next(err));
+});
+
+app.post('/api/auth/sign-out', (req, res, next) => {
+  const { refreshToken, allDevices } = req.body;
+  if (typeof refreshToken !== 'string' || !refreshToken) throw new ClientError(400, 'ERROR: refreshToken is required.');
+  const params = [hashToken(refreshToken), allDevices === true];
+  const sql = `
+    with "currentSession" as (
+      select "sessionId",
+             "userId"
+      from   "sessions"
+      where  "hashedToken" = $1
+      and    "revokedAt" is null
+      and    "expiresAt" > now()
+    )
+    update "sessions"
+    set    "revokedAt" = now()
+    where  "revokedAt" is null
+    and    ("sessionId" in (select "sessionId" from "currentSession")
+            or ($2 and "userId" in (select "userId" from "currentSession")));
+  `;
+  db.query(sql, params)
+    .then(() => {
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
+app.post('/api/auth/forgot-password', (req, res, next) => {
+  const email = parseEmail(req.body.email);
+  if (!email) throw new ClientError(400, 'ERROR: Email is required.');
+  const resetToken = createSecretToken();
+  const params = [email, hashToken(resetToken)];
+  const sql = `
+    with "resetUser" as (
+      select "userId",
+             "username"
+      from   "users"
+      where  "email" = $1
+    ), "expiredResets" as (
+      update "passwordResets"
+      set    "usedAt" = now()
+      where  "userId" in (select "userId" from "resetUser")
+      and    "usedAt" is null
+    ), "newReset" as (
+      insert into "passwordResets" ("userId", "hashedToken", "expiresAt")
+      select      "userId", $2, now() + interval '1 hour'
+      from        "resetUser"
+      returning   "userId"
+    )
+    select "resetUser"."username"
+    from   "resetUser"
+    join   "newReset" using ("userId");
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [reset] = result.rows;
+      if (!reset) return;
+      const appUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+      return mailer.send({
+        to: email,
+        subject: 'Reset your STRIVE password',
+        text: [
+          `Hi ${reset.username},`,
+          '',
+          'Use this link to choose a new password. It expires in 1 hour and can only be used once:',
+          `${appUrl}/#reset-password?token=${resetToken}`,
+          '',
+          'If you did not ask to reset your password, you can ignore this email.'
+        ].join('\n')
+      });
+    })
+    .then(() => {
+      res.status(202).json({ message: 'If an account uses that email, a reset link is on its way.' });
+    })
+    .catch(err => next(err));
+});
+
+app.post('/api/auth/reset-password', (req, res, next) => {
+  const { token, password } = req.body;
+  if (typeof token !== 'string' || !token) throw new ClientError(400, 'ERROR: Reset token is required.');
+  if (typeof password !== 'string' || password.length < 6) throw new ClientError(400, 'ERROR: Password must be at least 6 characters.');
+  argon2
+    .hash(password)
+    .then(hashedPassword => {
+      const params = [hashToken(token), hashedPassword];
+      const sql = `
+        with "usedReset" as (
+          update    "passwordResets"
+          set       "usedAt" = now()
+          where     "hashedToken" = $1
+          and       "usedAt" is null
+          and       "expiresAt" > now()
+          returning "userId"
+        ), "updatedUser" as (
+          update    "users"
+          set       "hashedPassword" = $2
+          where     "userId" in (select "userId" from "usedReset")
+          returning "userId"
+        ), "revokedSessions" as (
+          update "sessions"
+          set    "revokedAt" = now()
+          where  "userId" in (select "userId" from "updatedUser")
+          and    "revokedAt" is null
+        )
+        select "userId"
+        from   "updatedUser";
+      `;
+      return db.query(sql, params);
+    })
+    .then(result => {
+      if (!result.rows[0]) throw new ClientError(400, 'ERROR: This reset link is invalid or has expired.');
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
 app.get('/api/all-usernames', (req, res, next) => {
   const sql = `
   select "username"
@@ -90,59 +270,330 @@ app.get('/api/all-usernames', (req, res, next) => {
     .catch(err => next(err));
 });
 
-app.use(authorizationMiddleware);
+app.use(authorizationMiddleware(db));
+
+// Every route with a :workoutId param 404s unless the workout belongs to the signed-in user.
+app.param('workoutId', workoutOwnershipMiddleware(db, req => req.params.workoutId));
 
 app.get('/api/all-exercises', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  const { muscleGroup, equipment, q } = req.query;
+  const muscleGroups = [].concat(muscleGroup || []).flatMap(group => group.split(',')).filter(Boolean);
+  const equipmentList = [].concat(equipment || []).flatMap(item => item.split(',')).filter(Boolean);
+  const search = q ? q.trim().replace(/[\\%_]/g, '\\$&') : '';
+  const params = [
+    userId,
+    muscleGroups.length ? muscleGroups : null,
+    equipmentList.length ? equipmentList : null,
+    search || null
+  ];
   const sql = `
-    select *
-    from "exercises"
-    order by "name" asc;
+    select    "exercises"."exerciseId",
+              "exercises"."name",
+              "exercises"."equipment",
+              "exercises"."trackingType",
+              "exercises"."userId" is not null as "isCustom",
+              array_agg("muscleGroups"."name" order by "muscleGroups"."name") as "muscleGroups"
+    from      "exercises"
+    join      "exerciseMuscleGroups" using ("exerciseId")
+    join      "muscleGroups" using ("muscleGroupId")
+    where     ("exercises"."userId" is null or "exercises"."userId" = $1)
+    and       ($2::text[] is null or "exercises"."exerciseId" in (
+                select "exerciseMuscleGroups"."exerciseId"
+                from   "exerciseMuscleGroups"
+                join   "muscleGroups" using ("muscleGroupId")
+                where  "muscleGroups"."name" = any($2::text[])
+              ))
+    and       ($3::text[] is null or coalesce("exercises"."equipment", 'None') = any($3::text[]))
+    and       ($4::text is null or "exercises"."name" ilike '%' || $4 || '%')
+    group by  "exercises"."exerciseId"
+    order by  "exercises"."name" asc;
   `;
-  db.query(sql)
+  db.query(sql, params)
     .then(result => {
       res.status(200).json(result.rows);
     })
     .catch(err => next(err));
 });
 
+app.get('/api/exercise-filters', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  const params = [userId];
+  const sql = `
+    select array(
+             select   json_build_object('muscleGroupId', "muscleGroupId", 'name', "name")
+             from     "muscleGroups"
+             order by "name" asc
+           ) as "muscleGroups",
+           array(
+             select distinct coalesce("equipment", 'None')
+             from     "exercises"
+             where    "userId" is null
+             or       "userId" = $1
+             order by 1 asc
+           ) as "equipment";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      res.status(200).json(result.rows[0]);
+    })
+    .catch(err => next(err));
+});
+
+const trackingTypes = ['weightReps', 'bodyweightReps', 'duration', 'distanceTime'];
+
+app.post('/api/exercises', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { name, muscleGroupIds, equipment, trackingType = 'weightReps' } = req.body;
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if (!name || !name.trim() || !Array.isArray(muscleGroupIds) || muscleGroupIds.length < 1) {
+    throw new ClientError(400, 'ERROR: Name and at least one muscle group are required.');
+  }
+  if (!muscleGroupIds.every(id => Number.isInteger(Number(id)))) throw new ClientError(400, 'ERROR: Unknown muscle group.');
+  if (!trackingTypes.includes(trackingType)) {
+    throw new ClientError(400, `ERROR: Tracking type must be one of: ${trackingTypes.join(', ')}.`);
+  }
+  const params = [userId, name.trim(), (equipment && equipment.trim()) || null, muscleGroupIds.map(Number), trackingType];
+  const sql = `
+    with "newExercise" as (
+      insert into "exercises" ("userId", "name", "equipment", "trackingType")
+      values      ($1, $2, $3, $5)
+      returning   *
+    ), "newMuscleGroups" as (
+      insert into "exerciseMuscleGroups" ("exerciseId", "muscleGroupId")
+      select      distinct "newExercise"."exerciseId",
+                  "muscleGroupId"
+      from        "newExercise",
+                  unnest($4::int[]) as "muscleGroupId"
+      returning   *
+    )
+    select "exerciseId",
+           "name",
+           "equipment",
+           "trackingType",
+           true as "isCustom",
+           array(
+             select   "name"
+             from     "muscleGroups"
+             where    "muscleGroupId" = any($4::int[])
+             order by "name"
+           ) as "muscleGroups"
+    from   "newExercise";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [newExercise] = result.rows;
+      res.status(201).json(newExercise);
+    })
+    .catch(err => {
+      if (err.constraint === 'exerciseMuscleGroups_fk1') return next(new ClientError(400, 'ERROR: Unknown muscle group.'));
+      next(err);
+    });
+});
+
+app.patch('/api/exercises/:exerciseId', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const exerciseId = Number(req.params.exerciseId);
+  const { name, muscleGroupIds, equipment, trackingType } = req.body;
+  if (!exerciseId) throw new ClientError(400, 'ERROR: Invalid exerciseId.');
+  if (name !== undefined && !name.trim()) throw new ClientError(400, 'ERROR: Name cannot be empty.');
+  if (trackingType !== undefined && !trackingTypes.includes(trackingType)) {
+    throw new ClientError(400, `ERROR: Tracking type must be one of: ${trackingTypes.join(', ')}.`);
+  }
+  if (muscleGroupIds !== undefined && (!Array.isArray(muscleGroupIds) || muscleGroupIds.length < 1)) {
+    throw new ClientError(400, 'ERROR: At least one muscle group is required.');
+  }
+  if (muscleGroupIds !== undefined && !muscleGroupIds.every(id => Number.isInteger(Number(id)))) {
+    throw new ClientError(400, 'ERROR: Unknown muscle group.');
+  }
+  const params = [
+    exerciseId,
+    userId,
+    name ? name.trim() : null,
+    equipment !== undefined,
+    (equipment && equipment.trim()) || null,
+    muscleGroupIds ? muscleGroupIds.map(Number) : null,
+    trackingType || null
+  ];
+  const sql = `
+    with "updatedExercise" as (
+      update    "exercises"
+      set       "name" = coalesce($3, "name"),
+                "equipment" = case when $4 then $5 else "equipment" end,
+                "trackingType" = coalesce($7, "trackingType")
+      where     "exerciseId" = $1
+      and       "userId" = $2
+      returning *
+    ), "deletedMuscleGroups" as (
+      delete from "exerciseMuscleGroups"
+      where       "exerciseId" in (select "exerciseId" from "updatedExercise")
+      and         $6::int[] is not null
+      and         "muscleGroupId" <> all($6::int[])
+    ), "newMuscleGroups" as (
+      insert into "exerciseMuscleGroups" ("exerciseId", "muscleGroupId")
+      select      distinct "updatedExercise"."exerciseId",
+                  "muscleGroupId"
+      from        "updatedExercise",
+                  unnest($6::int[]) as "muscleGroupId"
+      on conflict do nothing
+      returning   *
+    )
+    select "updatedExercise"."exerciseId",
+           "updatedExercise"."name",
+           "updatedExercise"."equipment",
+           "updatedExercise"."trackingType",
+           true as "isCustom",
+           array(
+             select   "muscleGroups"."name"
+             from     "muscleGroups"
+             where    ($6::int[] is null and "muscleGroupId" in (
+                        select "muscleGroupId"
+                        from   "exerciseMuscleGroups"
+                        where  "exerciseId" = $1
+                      ))
+             or       "muscleGroupId" = any($6::int[])
+             order by "muscleGroups"."name"
+           ) as "muscleGroups"
+    from   "updatedExercise";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [updatedExercise] = result.rows;
+      if (!updatedExercise) throw new ClientError(404, 'ERROR: Exercise not found.');
+      res.status(200).json(updatedExercise);
+    })
+    .catch(err => {
+      if (err.constraint === 'exerciseMuscleGroups_fk1') return next(new ClientError(400, 'ERROR: Unknown muscle group.'));
+      next(err);
+    });
+});
+
+app.delete('/api/exercises/:exerciseId', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const exerciseId = Number(req.params.exerciseId);
+  if (!exerciseId) throw new ClientError(400, 'ERROR: Invalid exerciseId.');
+  const params = [exerciseId, userId];
+  const usageSql = `
+    select exists (
+             select 1
+             from   "sets"
+             where  "exerciseId" = $1
+           ) as "isLogged"
+    from   "exercises"
+    where  "exerciseId" = $1
+    and    "userId" = $2;
+  `;
+  db.query(usageSql, params)
+    .then(result => {
+      const [exercise] = result.rows;
+      if (!exercise) throw new ClientError(404, 'ERROR: Exercise not found.');
+      if (exercise.isLogged) throw new ClientError(409, 'ERROR: Exercise is part of a logged workout.');
+      const sql = `
+        with "deletedTemplateExercises" as (
+          delete from "templateExercises"
+          where       "exerciseId" = $1
+        )
+        delete from "exercises"
+        where       "exerciseId" = $1
+        and         "userId" = $2;
+      `;
+      return db.query(sql, params);
+    })
+    .then(result => {
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
 app.get('/api/workout/:workoutId', (req, res, next) => {
   const workoutId = Number(req.params.workoutId);
   if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
   const params = [workoutId];
   const sql = `
-    select "sets"."workoutId",
-           "sets"."exerciseId",
-           "sets"."setOrder",
-           "sets"."reps",
-           "sets"."weight",
-           "exercises"."name",
-           "exercises"."equipment",
-           "workouts"."workoutName"
-    from   "sets"
-    join   "exercises" using ("exerciseId")
-    join   "workouts" using ("workoutId")
-    where   "sets"."workoutId" = $1
-    and     "workouts"."workoutId" = $1;
+    select    "exercises"."exerciseId",
+              "exercises"."name",
+              "exercises"."equipment",
+              "exercises"."trackingType",
+              "workouts"."workoutName",
+              "workouts"."notes",
+              "workouts"."draft",
+              coalesce("restTimes"."restSeconds", 90) as "restSeconds",
+              max("sets"."supersetGroup") as "supersetGroup",
+              max("sets"."exerciseNotes") as "exerciseNotes",
+              json_agg(json_build_object(
+                'setOrder', "sets"."setOrder",
+                'reps', "sets"."reps",
+                'weight', "fromKilograms"("sets"."weight", "users"."weightUnit"),
+                'durationSeconds', "sets"."durationSeconds",
+                'distance', "fromMeters"("sets"."distance", "users"."weightUnit"),
+                'setType', "sets"."setType",
+                'rpe', "sets"."rpe"::float,
+                'rir', "sets"."rir",
+                'notes', "sets"."notes"
+              ) order by "sets"."setOrder") as "sets",
+              coalesce((
+                select    json_agg(json_build_object(
+                            'setOrder', "previousSets"."setOrder",
+                            'reps', "previousSets"."reps",
+                            'weight', "fromKilograms"("previousSets"."weight", "users"."weightUnit"),
+                            'durationSeconds', "previousSets"."durationSeconds",
+                            'distance', "fromMeters"("previousSets"."distance", "users"."weightUnit"),
+                            'setType', "previousSets"."setType"
+                          ) order by "previousSets"."setOrder")
+                from      "sets" as "previousSets"
+                where     "previousSets"."exerciseId" = "exercises"."exerciseId"
+                and       coalesce("previousSets"."reps", "previousSets"."durationSeconds", "previousSets"."distance") is not null
+                and       "previousSets"."workoutId" = (
+                  select    "previousWorkouts"."workoutId"
+                  from      "workouts" as "previousWorkouts"
+                  join      "sets" as "previousWorkoutSets" using ("workoutId")
+                  where     "previousWorkouts"."userId" = "workouts"."userId"
+                  and       "previousWorkouts"."workoutId" <> "workouts"."workoutId"
+                  and       "previousWorkouts"."completedAt" is not null
+                  and       "previousWorkoutSets"."exerciseId" = "exercises"."exerciseId"
+                  order by  "previousWorkouts"."completedAt" desc
+                  limit     1
+                )
+              ), '[]') as "previousSets"
+    from      "sets"
+    join      "exercises" using ("exerciseId")
+    join      "workouts" using ("workoutId")
+    join      "users" on "users"."userId" = "workouts"."userId"
+    left join "restTimes" on "restTimes"."userId" = "workouts"."userId"
+                         and "restTimes"."exerciseId" = "exercises"."exerciseId"
+    where     "workouts"."workoutId" = $1
+    group by  "exercises"."exerciseId",
+              "workouts"."workoutId",
+              "users"."userId",
+              "restTimes"."restSeconds"
+    order by  min("sets"."exerciseOrder") nulls last,
+              "exercises"."exerciseId";
   `;
   db.query(sql, params)
     .then(result => {
-      const workoutName = result.rows[0].workoutName;
-      const splitExercises = result.rows.map((exercise, index) => {
+      if (!result.rows[0]) throw new ClientError(404, 'ERROR: Workout not found.');
+      const { workoutName, notes, draft } = result.rows[0];
+      const splitExercises = result.rows.map(exercise => {
         const exerObj = {
           exerciseId: exercise.exerciseId,
           name: exercise.name,
           equipment: exercise.equipment,
-          sets: [{
-            setOrder: 1,
-            reps: null,
-            weight: null
-          }]
+          trackingType: exercise.trackingType,
+          restSeconds: exercise.restSeconds,
+          supersetGroup: exercise.supersetGroup,
+          exerciseNotes: exercise.exerciseNotes,
+          sets: exercise.sets,
+          previousSets: exercise.previousSets
         };
         return exerObj;
       });
       const workout = {
         workoutId,
         workoutName,
+        notes,
+        draft,
         exercises: splitExercises
       };
       res.status(200).json(workout);
@@ -152,13 +603,20 @@ app.get('/api/workout/:workoutId', (req, res, next) => {
 
 app.get('/api/user/all-workouts', (req, res, next) => {
   const userId = Number(req.user.userId);
+  const { from, to } = req.query;
   if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
-  const params = [userId];
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    throw new ClientError(400, 'ERROR: Invalid date range.');
+  }
+  const params = [userId, from || null, to || null];
   const sql = `
   select *
   from "workouts"
   where "userId" = $1
-  and "completedAt" IS NOT NULL;
+  and "completedAt" IS NOT NULL
+  and ($2::date is null or "completedAt" >= $2::date)
+  and ($3::date is null or "completedAt" < $3::date + 1)
+  order by "completedAt" desc;
   `;
   db.query(sql, params)
     .then(result => {
@@ -167,6 +625,32 @@ app.get('/api/user/all-workouts', (req, res, next) => {
     .catch(err => next(err));
 });
 
+app.get('/api/user/active-workout', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  const params = [userId];
+  const sql = `
+    select    "workouts"."workoutId",
+              "workouts"."workoutName",
+              "workouts"."startedAt",
+              count(distinct "sets"."exerciseId")::int as "exerciseCount"
+    from      "workouts"
+    left join "sets" using ("workoutId")
+    where     "workouts"."userId" = $1
+    and       "workouts"."completedAt" is null
+    group by  "workouts"."workoutId"
+    order by  "workouts"."startedAt" desc
+    limit     1;
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [activeWorkout] = result.rows;
+      if (!activeWorkout) throw new ClientError(404, 'ERROR: No workout in progress.');
+      res.status(200).json(activeWorkout);
+    })
+    .catch(err => next(err));
+});
+
 app.delete('/api/user/empty-workouts', (req, res, next) => {
   const userId = Number(req.user.userId);
   if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
@@ -190,42 +674,124 @@ app.delete('/api/user/empty-workouts', (req, res, next) => {
 
 app.get('/api/user/workout-sets', (req, res, next) => {
   const userId = Number(req.user.userId);
+  const { cursor, from, to, q } = req.query;
+  const limit = Number(req.query.limit) || 10;
+  const timeZone = parseTimeZone(req.query.timeZone);
   if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
-  const params = [userId];
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) throw new ClientError(400, 'ERROR: limit must be between 1 and 50.');
+  if (cursor && !Number(cursor)) throw new ClientError(400, 'ERROR: Invalid cursor.');
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    throw new ClientError(400, 'ERROR: Invalid date range.');
+  }
+  const search = q ? q.trim().replace(/[\\%_]/g, '\\$&') : '';
+  const filterParams = [userId, from || null, to || null, search || null, timeZone];
+  const params = [...filterParams, Number(cursor) || null, limit + 1];
+  // Shared by the page and the total so the count always matches the filtered list.
+  // Dates are the user's calendar days in `timeZone`.
+  const filterSql = `
+      from      "workouts"
+      where     "workouts"."userId" = $1
+      and       "workouts"."completedAt" is not null
+      and       ($2::date is null or ("workouts"."completedAt" at time zone $5)::date >= $2::date)
+      and       ($3::date is null or ("workouts"."completedAt" at time zone $5)::date <= $3::date)
+      and       ($4::text is null
+                 or "workouts"."workoutName" ilike '%' || $4 || '%'
+                 or "workouts"."notes" ilike '%' || $4 || '%'
+                 or exists (
+                   select 1
+                   from   "sets"
+                   join   "exercises" using ("exerciseId")
+                   where  "sets"."workoutId" = "workouts"."workoutId"
+                   and    ("exercises"."name" ilike '%' || $4 || '%'
+                           or "sets"."exerciseNotes" ilike '%' || $4 || '%'
+                           or "sets"."notes" ilike '%' || $4 || '%')
+                 ))
+      and       exists (
+                  select 1
+                  from   "sets"
+                  where  "sets"."workoutId" = "workouts"."workoutId"
+                  and    coalesce("sets"."reps", "sets"."durationSeconds", "sets"."distance") is not null
+                )
+  `;
   const sql = `
-    with "bestSetCTE" as (
-      select    *,
-                "reps" * "weight" as "volume",
-                row_number() over (partition by "workoutId", "exerciseId" order by "reps" * "weight" desc)
-      from      "sets"
-      join      "workouts" using ("workoutId")
-      join      "exercises" using ("exerciseId")
-      where     "reps" IS NOT NULL
-      and       "weight" IS NOT NULL
-      and       "userId" = $1
-      group by  "sets"."exerciseId",
+    with "pageCTE" as (
+      select    "workouts"."workoutId"
+      ${filterSql}
+      and       ($6::int is null or ("workouts"."completedAt", "workouts"."workoutId") < (
+                  select "cursorWorkout"."completedAt",
+                         "cursorWorkout"."workoutId"
+                  from   "workouts" as "cursorWorkout"
+                  where  "cursorWorkout"."workoutId" = $6
+                  and    "cursorWorkout"."userId" = $1
+                ))
+      order by  "workouts"."completedAt" desc,
+                "workouts"."workoutId" desc
+      limit     $7
+    ),
+    "bestSetCTE" as (
+      select    "sets"."exerciseId",
                 "sets"."workoutId",
                 "sets"."setOrder",
                 "sets"."reps",
-                "sets"."weight",
-                "workouts"."userId",
+                "fromKilograms"("sets"."weight", "users"."weightUnit") as "weight",
+                "sets"."durationSeconds",
+                "fromMeters"("sets"."distance", "users"."weightUnit") as "distance",
                 "workouts"."completedAt",
                 "workouts"."workoutName",
                 "exercises"."name",
-                "exercises"."muscleGroup",
-                "exercises"."equipment"
+                "exercises"."equipment",
+                "exercises"."trackingType",
+                "sets"."supersetGroup",
+                "sets"."exerciseOrder",
+                row_number() over (
+                  partition by "workoutId", "exerciseId"
+                  order by     "sets"."setType" = 'warmup',
+                               case "exercises"."trackingType"
+                                 when 'weightReps' then "sets"."reps" * "sets"."weight"
+                                 when 'bodyweightReps' then "sets"."reps"
+                                 when 'duration' then "sets"."durationSeconds"
+                                 else "sets"."distance"
+                               end desc nulls last,
+                               "sets"."weight" desc nulls last
+                )
+      from      "sets"
+      join      "workouts" using ("workoutId")
+      join      "exercises" using ("exerciseId")
+      join      "users" on "users"."userId" = "workouts"."userId"
+      where     coalesce("sets"."reps", "sets"."durationSeconds", "sets"."distance") is not null
+      and       "workouts"."workoutId" in (select "workoutId" from "pageCTE")
+    ),
+    "workoutTotalsCTE" as (
+      select      "workouts"."workoutId",
+                  "workouts"."startedAt",
+                  coalesce(sum("sets"."reps" * "fromKilograms"("sets"."weight", "users"."weightUnit")) filter (
+                    where "sets"."setType" <> 'warmup'
+                    and   "exercises"."trackingType" = 'weightReps'
+                  ), 0)::float as "totalVolume",
+                  count("sets".*)::int as "totalWorkoutSets",
+                  coalesce(sum("sets"."reps"), 0)::int as "totalReps",
+                  extract(epoch from "workouts"."completedAt" - "workouts"."startedAt")::int as "durationSeconds",
+                  "workouts"."notes" as "workoutNotes"
+      from        "workouts"
+      join        "sets" using ("workoutId")
+      join        "exercises" using ("exerciseId")
+      join        "users" on "users"."userId" = "workouts"."userId"
+      where       "workouts"."workoutId" in (select "workoutId" from "pageCTE")
+      and         coalesce("sets"."reps", "sets"."durationSeconds", "sets"."distance") is not null
+      group by    "workouts"."workoutId"
     ),
     "totalSetsCTE" as (
       select      count("sets".*) as "totalSets",
+                  max("sets"."exerciseNotes") as "exerciseNotes",
+                  array_remove(array_agg("sets"."notes" order by "sets"."setOrder"), null) as "setNotes",
                   "exerciseId",
                   "workouts"."workoutId",
                   "workouts"."completedAt"
       from        "sets"
       join        "workouts" using ("workoutId")
       join        "exercises" using ("exerciseId")
-      where       "workouts"."userId" = $1
-      and         "sets"."reps" IS NOT NULL
-      and         "sets"."weight" IS NOT NULL
+      where       "workouts"."workoutId" in (select "workoutId" from "pageCTE")
+      and         coalesce("sets"."reps", "sets"."durationSeconds", "sets"."distance") is not null
       group by    "exercises"."exerciseId",
                   "workouts"."workoutId",
                   "sets"."exerciseId"
@@ -234,121 +800,911 @@ app.get('/api/user/workout-sets', (req, res, next) => {
     select    "equipment",
               "exerciseId",
               "name",
+              "trackingType",
               "reps",
               "totalSets",
               "weight",
+              "bestSetCTE"."durationSeconds" as "setDurationSeconds",
+              "distance",
               "workoutId",
               "workoutName",
-              "totalSetsCTE"."completedAt"
+              "supersetGroup",
+              "totalSetsCTE"."completedAt",
+              "workoutTotalsCTE"."startedAt",
+              "totalVolume",
+              "totalWorkoutSets",
+              "totalReps",
+              "workoutTotalsCTE"."durationSeconds",
+              "workoutNotes",
+              "exerciseNotes",
+              "setNotes"
     from      "bestSetCTE"
     join      "totalSetsCTE" using ("workoutId", "exerciseId")
+    join      "workoutTotalsCTE" using ("workoutId")
     where     "row_number" = 1
-    order by "name" asc;
+    order by  "totalSetsCTE"."completedAt" desc,
+              "workoutId" desc,
+              "exerciseOrder" nulls last,
+              "name" asc;
+  `;
+  const countSql = `
+    select    count(*)::int as "totalWorkouts"
+    ${filterSql};
+  `;
+  Promise.all([db.query(sql, params), db.query(countSql, filterParams)])
+    .then(([result, countResult]) => {
+      const workoutIds = [...new Set(result.rows.map(row => row.workoutId))];
+      const pageIds = workoutIds.slice(0, limit);
+      const sets = result.rows.filter(row => pageIds.includes(row.workoutId));
+      res.status(200).json({
+        sets,
+        nextCursor: workoutIds.length > limit ? pageIds[pageIds.length - 1] : null,
+        totalWorkouts: countResult.rows[0].totalWorkouts
+      });
+    })
+    .catch(err => {
+      if (err.code === '22023') return next(new ClientError(400, 'ERROR: Invalid time zone.'));
+      next(err);
+    });
+});
+
+// Params: [workoutId, userId]. Only matches completed workouts.
+const savedWorkoutSql = `
+  select    "workouts"."workoutId",
+            "workouts"."workoutName",
+            "workouts"."startedAt",
+            "workouts"."completedAt",
+            extract(epoch from "workouts"."completedAt" - "workouts"."startedAt")::int as "durationSeconds",
+            "workouts"."notes",
+            coalesce(json_agg(json_build_object(
+              'exerciseId', "exerciseSets"."exerciseId",
+              'name', "exerciseSets"."name",
+              'equipment', "exerciseSets"."equipment",
+              'trackingType', "exerciseSets"."trackingType",
+              'supersetGroup', "exerciseSets"."supersetGroup",
+              'exerciseNotes', "exerciseSets"."exerciseNotes",
+              'sets', "exerciseSets"."sets"
+            ) order by "exerciseSets"."exerciseOrder" nulls last, "exerciseSets"."name") filter (where "exerciseSets"."exerciseId" is not null), '[]') as "exercises"
+  from      "workouts"
+  left join (
+    select    "sets"."workoutId",
+              "exercises"."exerciseId",
+              "exercises"."name",
+              "exercises"."equipment",
+              "exercises"."trackingType",
+              max("sets"."supersetGroup") as "supersetGroup",
+              min("sets"."exerciseOrder") as "exerciseOrder",
+              max("sets"."exerciseNotes") as "exerciseNotes",
+              json_agg(json_build_object(
+                'setOrder', "sets"."setOrder",
+                'reps', "sets"."reps",
+                'weight', "fromKilograms"("sets"."weight", "users"."weightUnit"),
+                'durationSeconds', "sets"."durationSeconds",
+                'distance', "fromMeters"("sets"."distance", "users"."weightUnit"),
+                'restSeconds', "sets"."restSeconds",
+                'setType', "sets"."setType",
+                'rpe', "sets"."rpe"::float,
+                'rir', "sets"."rir",
+                'notes', "sets"."notes"
+              ) order by "sets"."setOrder") as "sets"
+    from      "sets"
+    join      "exercises" using ("exerciseId")
+    join      "users" on "users"."userId" = $2
+    where     "sets"."workoutId" = $1
+    group by  "sets"."workoutId",
+              "exercises"."exerciseId"
+  ) as "exerciseSets" using ("workoutId")
+  where     "workouts"."workoutId" = $1
+  and       "workouts"."userId" = $2
+  and       "workouts"."completedAt" is not null
+  group by  "workouts"."workoutId";
+`;
+
+// Params: [workoutId, userId, setsJson]. Replaces every set of a completed workout and
+// returns its workoutId, or no row when the user does not own it.
+const replaceSetsSql = `
+  with "ownedWorkout" as (
+    select "workouts"."workoutId",
+           "users"."weightUnit"
+    from   "workouts"
+    join   "users" using ("userId")
+    where  "workouts"."workoutId" = $1
+    and    "workouts"."userId" = $2
+    and    "workouts"."completedAt" is not null
+  ), "deletedSets" as (
+    delete from "sets"
+    where       "workoutId" in (select "workoutId" from "ownedWorkout")
+  ), "newSets" as (
+    insert into "sets" ("workoutId", "exerciseId", "setOrder", "reps", "weight", "weightUnit", "restSeconds", "supersetGroup", "exerciseOrder", "setType", "rpe", "rir", "durationSeconds", "distance", "exerciseNotes", "notes")
+    select      "ownedWorkout"."workoutId",
+                "newSet"."exerciseId",
+                "newSet"."setOrder",
+                "newSet"."reps",
+                "toKilograms"("newSet"."weight", "ownedWorkout"."weightUnit"),
+                "ownedWorkout"."weightUnit",
+                "newSet"."restSeconds",
+                "newSet"."supersetGroup",
+                "newSet"."exerciseOrder",
+                "newSet"."setType",
+                "newSet"."rpe",
+                "newSet"."rir",
+                "newSet"."durationSeconds",
+                "toMeters"("newSet"."distance", "ownedWorkout"."weightUnit"),
+                "newSet"."exerciseNotes",
+                "newSet"."notes"
+    from        "ownedWorkout",
+                jsonb_to_recordset($3::jsonb) as "newSet" ("exerciseId" int, "setOrder" int, "reps" int, "weight" numeric, "restSeconds" int, "supersetGroup" int, "exerciseOrder" int, "setType" text, "rpe" numeric, "rir" int, "durationSeconds" int, "distance" numeric, "exerciseNotes" text, "notes" text)
+    returning   *
+  )
+  select "workoutId"
+  from   "ownedWorkout";
+`;
+
+app.get('/api/user/workouts/:workoutId', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const workoutId = Number(req.params.workoutId);
+  if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
+  const params = [workoutId, userId];
+  db.query(savedWorkoutSql, params)
+    .then(result => {
+      const [workout] = result.rows;
+      if (!workout) throw new ClientError(404, 'ERROR: Workout not found.');
+      res.status(200).json(workout);
+    })
+    .catch(err => next(err));
+});
+
+app.patch('/api/user/workouts/:workoutId', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const workoutId = Number(req.params.workoutId);
+  const { workoutName, completedAt, notes, exercises } = req.body;
+  if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
+  if (workoutName !== undefined && !workoutName.trim()) throw new ClientError(400, 'ERROR: Workout name cannot be empty.');
+  if (exercises !== undefined && !Array.isArray(exercises)) throw new ClientError(400, 'ERROR: Missing exercises.');
+  if (completedAt !== undefined && isNaN(new Date(completedAt).getTime())) {
+    throw new ClientError(400, 'ERROR: Invalid completedAt date.');
+  }
+  const params = [
+    workoutId,
+    userId,
+    workoutName ? workoutName.trim() : null,
+    completedAt ? new Date(completedAt) : null,
+    notes !== undefined,
+    parseNotes(notes)
+  ];
+  const sql = `
+    update    "workouts"
+    set       "workoutName" = coalesce($3, "workoutName"),
+              "notes" = case when $5 then $6 else "notes" end,
+              "startedAt" = coalesce($4::timestamptz - ("completedAt" - "startedAt"), "startedAt"),
+              "completedAt" = coalesce($4, "completedAt")
+    where     "workoutId" = $1
+    and       "userId" = $2
+    and       "completedAt" is not null
+    returning *;
+  `;
+  // Details and sets are saved together so a rejected set never leaves a half-edited workout.
+  withTransaction(db, client => {
+    const parseSets = exercises === undefined
+      ? Promise.resolve(null)
+      : checkExerciseAccess(client, userId, exercises.map(exercise => exercise && exercise.exerciseId))
+        .then(trackingTypes => parseWorkoutSets(exercises, trackingTypes));
+    return parseSets.then(sets => client.query(sql, params)
+      .then(result => {
+        const [updatedWorkout] = result.rows;
+        if (!updatedWorkout) throw new ClientError(404, 'ERROR: Workout not found.');
+        if (!sets) return updatedWorkout;
+        return client.query(replaceSetsSql, [workoutId, userId, JSON.stringify(sets)])
+          .then(() => updatedWorkout);
+      }));
+  })
+    .then(updatedWorkout => {
+      res.status(200).json(updatedWorkout);
+    })
+    .catch(err => next(err));
+});
+
+app.put('/api/user/workouts/:workoutId/sets', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const workoutId = Number(req.params.workoutId);
+  const { exercises } = req.body;
+  if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
+  if (!Array.isArray(exercises)) throw new ClientError(400, 'ERROR: Missing exercises.');
+  checkExerciseAccess(db, userId, exercises.map(exercise => exercise && exercise.exerciseId))
+    .then(trackingTypes => {
+      const sets = parseWorkoutSets(exercises, trackingTypes);
+      return db.query(replaceSetsSql, [workoutId, userId, JSON.stringify(sets)]);
+    })
+    .then(result => {
+      if (!result.rows[0]) throw new ClientError(404, 'ERROR: Workout not found.');
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
+app.delete('/api/user/workouts/:workoutId', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const workoutId = Number(req.params.workoutId);
+  if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
+  const params = [workoutId, userId];
+  const sql = `
+    with "deletedWorkout" as (
+      delete from "workouts"
+      where       "workoutId" = $1
+      and         "userId" = $2
+      returning   "workoutId"
+    ), "deletedSets" as (
+      delete from "sets"
+      where       "workoutId" in (select "workoutId" from "deletedWorkout")
+    )
+    select "workoutId"
+    from   "deletedWorkout";
   `;
   db.query(sql, params)
     .then(result => {
-      const userWorkouts = result.rows;
-      res.status(200).json(userWorkouts);
+      if (!result.rows[0]) throw new ClientError(404, 'ERROR: Workout not found.');
+      res.status(204).json();
     })
     .catch(err => next(err));
 });
 
-app.post('/api/new-workout', (req, res, next) => {
+app.get('/api/user/records', (req, res, next) => {
   const userId = Number(req.user.userId);
-  const { workoutName } = req.body;
   if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
-  const params = [userId, workoutName];
+  const params = [userId];
   const sql = `
-    insert into "workouts" ("userId", "workoutName")
-    values      ($1, $2)
-    returning *;
+    select    "exercises"."exerciseId",
+              "exercises"."name",
+              "exercises"."equipment",
+              "exercises"."trackingType",
+              count(distinct "sets"."workoutId")::int as "totalSessions",
+              max("fromKilograms"("sets"."weight", "users"."weightUnit"))::float as "heaviestWeight",
+              (array_agg(json_build_object(
+                'reps', "sets"."reps",
+                'weight', "fromKilograms"("sets"."weight", "users"."weightUnit"),
+                'completedAt', "workouts"."completedAt"
+              ) order by "sets"."weight" desc nulls last, "sets"."reps" desc nulls last))[1] as "heaviestSet",
+              (array_agg(json_build_object(
+                'reps', "sets"."reps",
+                'weight', "fromKilograms"("sets"."weight", "users"."weightUnit"),
+                'completedAt', "workouts"."completedAt"
+              ) order by "sets"."reps" * "sets"."weight" desc nulls last))[1] as "bestVolumeSet",
+              max(case
+                    when "sets"."reps" = 1 then "fromKilograms"("sets"."weight", "users"."weightUnit")
+                    else "fromKilograms"("sets"."weight", "users"."weightUnit") * (1 + "sets"."reps" / 30.0)
+                  end)::float as "epleyOneRepMax",
+              max("fromKilograms"("sets"."weight", "users"."weightUnit") * 36 / (37 - "sets"."reps")) filter (where "sets"."reps" < 37)::float as "brzyckiOneRepMax",
+              max("fromKilograms"("sets"."weight", "users"."weightUnit")) filter (where "sets"."reps" >= 1)::float as "oneRepMax",
+              max("fromKilograms"("sets"."weight", "users"."weightUnit")) filter (where "sets"."reps" >= 3)::float as "threeRepMax",
+              max("fromKilograms"("sets"."weight", "users"."weightUnit")) filter (where "sets"."reps" >= 5)::float as "fiveRepMax",
+              max("fromKilograms"("sets"."weight", "users"."weightUnit")) filter (where "sets"."reps" >= 10)::float as "tenRepMax",
+              max("sets"."reps")::int as "maxReps",
+              max("sets"."durationSeconds")::int as "longestDurationSeconds",
+              max("fromMeters"("sets"."distance", "users"."weightUnit"))::float as "longestDistance"
+    from      "sets"
+    join      "workouts" using ("workoutId")
+    join      "exercises" using ("exerciseId")
+    join      "users" on "users"."userId" = "workouts"."userId"
+    where     "workouts"."userId" = $1
+    and       "workouts"."completedAt" is not null
+    and       coalesce("sets"."reps", "sets"."durationSeconds", "sets"."distance") is not null
+    and       "sets"."setType" <> 'warmup'
+    group by  "exercises"."exerciseId"
+    order by  "exercises"."name" asc;
   `;
   db.query(sql, params)
     .then(result => {
-      const newWorkout = result.rows[0];
-      res.status(201).json(newWorkout);
+      res.status(200).json(result.rows);
     })
     .catch(err => next(err));
 });
 
-app.post('/api/workout/new-exercises', (req, res, next) => {
-  const { workoutId, exerciseIds } = req.body;
-  if (!workoutId || exerciseIds.length < 1) throw new ClientError(400, 'ERROR: Existing workoutId and exerciseId are required');
-  const params = [Number(workoutId)];
-  exerciseIds.forEach(id => {
-    params.push(Number(id));
-  });
-  let paramIndex = 1;
-  const ids = exerciseIds.map((id, index) => {
-    paramIndex++;
-    return `($1, $${paramIndex}, 1)`;
-  });
-  const sql = `
-    insert into "sets" ("workoutId", "exerciseId", "setOrder")
-    values      ${ids}
-    returning *;
+app.put('/api/user/exercises/:exerciseId/rest-time', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const exerciseId = Number(req.params.exerciseId);
+  const restSeconds = Number(req.body.restSeconds);
+  if (!exerciseId) throw new ClientError(400, 'ERROR: Invalid exerciseId.');
+  if (!Number.isInteger(restSeconds) || restSeconds < 1 || restSeconds > 3600) {
+    throw new ClientError(400, 'ERROR: Rest time must be between 1 and 3600 seconds.');
+  }
+  const params = [userId, exerciseId, restSeconds];
+  const sql = `
+    insert into "restTimes" ("userId", "exerciseId", "restSeconds")
+    select      $1, "exerciseId", $3
+    from        "exercises"
+    where       "exerciseId" = $2
+    and         ("userId" is null or "userId" = $1)
+    on conflict ("userId", "exerciseId")
+    do update
+    set         "restSeconds" = excluded."restSeconds"
+    returning   "exerciseId",
+                "restSeconds";
   `;
   db.query(sql, params)
     .then(result => {
-      const addedSets = result.rows;
-      res.status(201).json(addedSets);
+      const [restTime] = result.rows;
+      if (!restTime) throw new ClientError(404, 'ERROR: Exercise not found.');
+      res.status(200).json(restTime);
     })
     .catch(err => next(err));
 });
 
-app.patch('/api/workout/:workoutId', (req, res, next) => {
-  const workoutId = Number(req.params.workoutId);
-  const { exercises, workoutName } = req.body;
-  if (!exercises) throw new ClientError(400, 'ERROR: Missing exercises.');
-  const exercisePromises = exercises.flatMap(exercise => {
-    const { exerciseId, sets } = exercise;
-    const setPromises = sets.map(set => {
-      const { reps, weight, setOrder } = set;
-      const params = [reps, weight, setOrder, workoutId, exerciseId];
-      if (setOrder === 1) {
-        const updateSql = `
-        update "sets"
-        set    "reps" = $1,
-               "weight" = $2
-        where  "setOrder" = $3
-        and     "workoutId" = $4
-        and    "exerciseId" = $5
-        returning *
-        `;
-        return db.query(updateSql, params);
-      } else {
-        const addSql = `
-        insert into "sets" ("reps", "weight", "setOrder", "workoutId", "exerciseId")
-        values             ($1, $2, $3, $4, $5)
-        returning *;
-        `;
-        return db.query(addSql, params);
+app.get('/api/user/exercises/:exerciseId/progress', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const exerciseId = Number(req.params.exerciseId);
+  const { from, to } = req.query;
+  if (!exerciseId) throw new ClientError(400, 'ERROR: Invalid exerciseId.');
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    throw new ClientError(400, 'ERROR: Invalid date range.');
+  }
+  const params = [userId, exerciseId, from || null, to || null];
+  const sql = `
+    select    "workouts"."workoutId",
+              "workouts"."completedAt",
+              max("fromKilograms"("sets"."weight", "users"."weightUnit"))::float as "topSetWeight",
+              max(case
+                    when "sets"."reps" = 1 then "fromKilograms"("sets"."weight", "users"."weightUnit")
+                    else "fromKilograms"("sets"."weight", "users"."weightUnit") * (1 + "sets"."reps" / 30.0)
+                  end)::float as "estimatedOneRepMax",
+              sum("sets"."reps" * "fromKilograms"("sets"."weight", "users"."weightUnit"))::float as "totalVolume",
+              max("sets"."reps")::int as "topSetReps",
+              sum("sets"."reps")::int as "totalReps",
+              max("sets"."durationSeconds")::int as "longestDurationSeconds",
+              sum("sets"."durationSeconds")::int as "totalDurationSeconds",
+              sum("fromMeters"("sets"."distance", "users"."weightUnit"))::float as "totalDistance"
+    from      "sets"
+    join      "workouts" using ("workoutId")
+    join      "users" on "users"."userId" = "workouts"."userId"
+    where     "workouts"."userId" = $1
+    and       "sets"."exerciseId" = $2
+    and       "workouts"."completedAt" is not null
+    and       coalesce("sets"."reps", "sets"."durationSeconds", "sets"."distance") is not null
+    and       "sets"."setType" <> 'warmup'
+    and       ($3::date is null or "workouts"."completedAt" >= $3::date)
+    and       ($4::date is null or "workouts"."completedAt" < $4::date + 1)
+    group by  "workouts"."workoutId"
+    order by  "workouts"."completedAt" asc;
+  `;
+  db.query(sql, params)
+    .then(result => {
+      res.status(200).json(result.rows);
+    })
+    .catch(err => next(err));
+});
+
+app.get('/api/user/weekly-totals', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const weeks = Number(req.query.weeks) || 8;
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if (weeks < 1 || weeks > 52) throw new ClientError(400, 'ERROR: weeks must be between 1 and 52.');
+  const params = [userId, weeks];
+  const sql = `
+    with "weeksCTE" as (
+      select generate_series(
+               date_trunc('week', now()) - ($2::int - 1) * interval '1 week',
+               date_trunc('week', now()),
+               interval '1 week'
+             ) as "weekStart"
+    ),
+    "workoutTotalsCTE" as (
+      select      "workouts"."workoutId",
+                  date_trunc('week', "workouts"."completedAt") as "weekStart",
+                  coalesce(sum("sets"."reps" * "fromKilograms"("sets"."weight", "users"."weightUnit")) filter (
+                    where "sets"."setType" <> 'warmup'
+                    and   "exercises"."trackingType" = 'weightReps'
+                  ), 0) as "totalVolume",
+                  count(coalesce("sets"."reps", "sets"."durationSeconds", "sets"."distance")) as "totalSets",
+                  coalesce(sum("sets"."reps"), 0) as "totalReps",
+                  extract(epoch from "workouts"."completedAt" - "workouts"."startedAt") as "durationSeconds"
+      from        "workouts"
+      left join   "sets" using ("workoutId")
+      left join   "exercises" using ("exerciseId")
+      join        "users" on "users"."userId" = "workouts"."userId"
+      where       "workouts"."userId" = $1
+      and         "workouts"."completedAt" >= date_trunc('week', now()) - ($2::int - 1) * interval '1 week'
+      group by    "workouts"."workoutId"
+    )
+    select    "weeksCTE"."weekStart",
+              count("workoutTotalsCTE"."workoutId")::int as "totalWorkouts",
+              coalesce(sum("totalVolume"), 0)::float as "totalVolume",
+              coalesce(sum("totalSets"), 0)::int as "totalSets",
+              coalesce(sum("totalReps"), 0)::int as "totalReps",
+              coalesce(sum("durationSeconds"), 0)::int as "durationSeconds"
+    from      "weeksCTE"
+    left join "workoutTotalsCTE" using ("weekStart")
+    group by  "weeksCTE"."weekStart"
+    order by  "weeksCTE"."weekStart" asc;
+  `;
+  db.query(sql, params)
+    .then(result => {
+      res.status(200).json(result.rows);
+    })
+    .catch(err => next(err));
+});
+
+app.get('/api/user/calendar', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { month } = req.query;
+  const timeZone = parseTimeZone(req.query.timeZone);
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) throw new ClientError(400, 'ERROR: month must be formatted YYYY-MM.');
+  const params = [userId, timeZone, `${month}-01`];
+  const daysSql = `
+    with "monthWorkoutsCTE" as (
+      select    "workoutId",
+                "workoutName",
+                "completedAt",
+                ("completedAt" at time zone $2)::date as "day",
+                extract(epoch from "completedAt" - "startedAt")::int as "durationSeconds"
+      from      "workouts"
+      where     "userId" = $1
+      and       "completedAt" is not null
+      and       ("completedAt" at time zone $2)::date >= $3::date
+      and       ("completedAt" at time zone $2)::date < ($3::date + interval '1 month')::date
+    ),
+    "muscleGroupSetsCTE" as (
+      select    "monthWorkoutsCTE"."workoutId",
+                "monthWorkoutsCTE"."day",
+                "muscleGroups"."name",
+                count(*) as "setCount"
+      from      "monthWorkoutsCTE"
+      join      "sets" using ("workoutId")
+      join      "exerciseMuscleGroups" using ("exerciseId")
+      join      "muscleGroups" using ("muscleGroupId")
+      where     coalesce("sets"."reps", "sets"."durationSeconds", "sets"."distance") is not null
+      and       "sets"."setType" <> 'warmup'
+      group by  "monthWorkoutsCTE"."workoutId",
+                "monthWorkoutsCTE"."day",
+                "muscleGroups"."name"
+    ),
+    "primaryMuscleGroupCTE" as (
+      select    distinct on ("day")
+                "day",
+                "name" as "muscleGroup"
+      from      "muscleGroupSetsCTE"
+      group by  "day",
+                "name"
+      order by  "day",
+                sum("setCount") desc,
+                "name"
+    ),
+    "workoutsCTE" as (
+      select    "monthWorkoutsCTE".*,
+                coalesce((
+                  select   array_agg("name" order by "setCount" desc, "name")
+                  from     "muscleGroupSetsCTE"
+                  where    "muscleGroupSetsCTE"."workoutId" = "monthWorkoutsCTE"."workoutId"
+                ), '{}') as "muscleGroups"
+      from      "monthWorkoutsCTE"
+    )
+    select    to_char("workoutsCTE"."day", 'YYYY-MM-DD') as "date",
+              "primaryMuscleGroupCTE"."muscleGroup",
+              json_agg(json_build_object(
+                'workoutId', "workoutsCTE"."workoutId",
+                'workoutName', "workoutsCTE"."workoutName",
+                'completedAt', "workoutsCTE"."completedAt",
+                'durationSeconds', "workoutsCTE"."durationSeconds",
+                'muscleGroups', "workoutsCTE"."muscleGroups"
+              ) order by "workoutsCTE"."completedAt") as "workouts"
+    from      "workoutsCTE"
+    left join "primaryMuscleGroupCTE" using ("day")
+    group by  "workoutsCTE"."day",
+              "primaryMuscleGroupCTE"."muscleGroup"
+    order by  "workoutsCTE"."day";
+  `;
+  const streaksSql = `
+    with "trainingDaysCTE" as (
+      select distinct ("completedAt" at time zone $2)::date as "day"
+      from   "workouts"
+      where  "userId" = $1
+      and    "completedAt" is not null
+    ),
+    "dayStreaksCTE" as (
+      select   max("day") as "lastDay",
+               count(*) as "length"
+      from     (
+                 select "day",
+                        "day" - (row_number() over (order by "day"))::int as "streakId"
+                 from   "trainingDaysCTE"
+               ) as "days"
+      group by "streakId"
+    ),
+    "weekStreaksCTE" as (
+      select   max("week") as "lastWeek",
+               count(*) as "length"
+      from     (
+                 select "week",
+                        "week" - (row_number() over (order by "week"))::int * 7 as "streakId"
+                 from   (select distinct date_trunc('week', "day")::date as "week" from "trainingDaysCTE") as "trainingWeeks"
+               ) as "weeks"
+      group by "streakId"
+    )
+    select coalesce((
+             select max("length")
+             from   "dayStreaksCTE"
+             where  "lastDay" >= (now() at time zone $2)::date - 1
+           ), 0)::int as "currentStreak",
+           coalesce((select max("length") from "dayStreaksCTE"), 0)::int as "longestStreak",
+           coalesce((
+             select max("length")
+             from   "weekStreaksCTE"
+             where  "lastWeek" >= date_trunc('week', now() at time zone $2)::date - 7
+           ), 0)::int as "currentWeekStreak";
+  `;
+  Promise.all([db.query(daysSql, params), db.query(streaksSql, [userId, timeZone])])
+    .then(([daysResult, streaksResult]) => {
+      res.status(200).json({
+        month,
+        days: daysResult.rows,
+        ...streaksResult.rows[0]
+      });
+    })
+    .catch(err => {
+      if (err.code === '22023') return next(new ClientError(400, 'ERROR: Invalid time zone.'));
+      next(err);
+    });
+});
+
+app.get('/api/user/settings', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  const params = [userId];
+  const sql = `
+    select "weightUnit",
+           "showPlates",
+           "barWeight"::float,
+           "plates"::float[],
+           "plateUnit",
+           "email"
+    from   "users"
+    where  "userId" = $1;
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [settings] = result.rows;
+      if (!settings) throw new ClientError(404, 'ERROR: User not found.');
+      res.status(200).json(settings);
+    })
+    .catch(err => next(err));
+});
+
+app.patch('/api/user/settings', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { weightUnit, showPlates, barWeight, plates, plateUnit } = req.body;
+  const units = ['kg', 'lb'];
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if ([weightUnit, showPlates, barWeight, plates, plateUnit].every(value => value === undefined)) {
+    throw new ClientError(400, 'ERROR: No settings to update.');
+  }
+  if (weightUnit !== undefined && !units.includes(weightUnit)) throw new ClientError(400, 'ERROR: weightUnit must be kg or lb.');
+  if (plateUnit !== undefined && !units.includes(plateUnit)) throw new ClientError(400, 'ERROR: plateUnit must be kg or lb.');
+  if (showPlates !== undefined && typeof showPlates !== 'boolean') throw new ClientError(400, 'ERROR: showPlates must be true or false.');
+  if (barWeight !== undefined && !(Number(barWeight) >= 0)) throw new ClientError(400, 'ERROR: Invalid bar weight.');
+  if (plates !== undefined && (!Array.isArray(plates) || plates.length === 0 || !plates.every(plate => Number(plate) > 0))) {
+    throw new ClientError(400, 'ERROR: Plates must be a list of positive weights.');
+  }
+  const params = [
+    userId,
+    weightUnit === undefined ? null : weightUnit,
+    showPlates === undefined ? null : showPlates,
+    barWeight === undefined ? null : Number(barWeight),
+    plates === undefined ? null : plates.map(Number),
+    plateUnit === undefined ? null : plateUnit
+  ];
+  const sql = `
+    update    "users"
+    set       "weightUnit" = coalesce($2, "weightUnit"),
+              "showPlates" = coalesce($3, "showPlates"),
+              "barWeight"  = coalesce($4, "barWeight"),
+              "plates"     = coalesce($5::numeric[], "plates"),
+              "plateUnit"  = coalesce($6, "plateUnit")
+    where     "userId" = $1
+    returning "weightUnit",
+              "showPlates",
+              "barWeight"::float,
+              "plates"::float[],
+              "plateUnit";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [settings] = result.rows;
+      if (!settings) throw new ClientError(404, 'ERROR: User not found.');
+      res.status(200).json(settings);
+    })
+    .catch(err => next(err));
+});
+
+app.patch('/api/user/password', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { sessionId } = req.user;
+  const { currentPassword, newPassword } = req.body;
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if (!currentPassword || !newPassword) throw new ClientError(400, 'ERROR: currentPassword and newPassword are required.');
+  if (newPassword.length < 6) throw new ClientError(400, 'ERROR: Password must be at least 6 characters.');
+  const sql = `
+    select "hashedPassword"
+    from   "users"
+    where  "userId" = $1;
+  `;
+  db.query(sql, [userId])
+    .then(result => {
+      const [user] = result.rows;
+      if (!user) throw new ClientError(404, 'ERROR: User not found.');
+      return argon2.verify(user.hashedPassword, currentPassword);
+    })
+    .then(isMatching => {
+      if (!isMatching) throw new ClientError(403, 'ERROR: Current password is incorrect.');
+      return argon2.hash(newPassword);
+    })
+    .then(hashedPassword => {
+      const params = [userId, hashedPassword, sessionId];
+      const updateSql = `
+        with "updatedUser" as (
+          update "users"
+          set    "hashedPassword" = $2
+          where  "userId" = $1
+          returning "userId"
+        )
+        update "sessions"
+        set    "revokedAt" = now()
+        where  "userId" in (select "userId" from "updatedUser")
+        and    "sessionId" <> $3
+        and    "revokedAt" is null;
+      `;
+      return db.query(updateSql, params);
+    })
+    .then(() => {
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
+app.patch('/api/user/username', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { sessionId } = req.user;
+  const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if (username.length < 5) throw new ClientError(400, 'ERROR: Username must be at least 5 characters.');
+  const params = [userId, username];
+  const sql = `
+    update "users"
+    set    "username" = $2
+    where  "userId" = $1
+    and    not exists (
+             select 1
+             from   "users" as "otherUsers"
+             where  "otherUsers"."username" = $2
+             and    "otherUsers"."userId" <> $1
+           )
+    returning "userId",
+              "username";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [user] = result.rows;
+      if (!user) throw new ClientError(409, 'ERROR: Username already exists.');
+      const token = signAccessToken({ ...user, sessionId });
+      res.status(200).json({ token, user });
+    })
+    .catch(err => {
+      if (err.code === '23505') return next(new ClientError(409, 'ERROR: Username already exists.'));
+      next(err);
+    });
+});
+
+app.patch('/api/user/email', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  const email = parseEmail(req.body.email);
+  const params = [userId, email];
+  const sql = `
+    update "users"
+    set    "email" = $2
+    where  "userId" = $1
+    returning "email";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [user] = result.rows;
+      if (!user) throw new ClientError(404, 'ERROR: User not found.');
+      res.status(200).json(user);
+    })
+    .catch(err => {
+      if (err.constraint === 'users_email_key') return next(new ClientError(409, 'ERROR: Email is already in use.'));
+      next(err);
+    });
+});
+
+app.delete('/api/user/account', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { password } = req.body;
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if (!password) throw new ClientError(400, 'ERROR: Password is required.');
+  const sql = `
+    select "hashedPassword"
+    from   "users"
+    where  "userId" = $1;
+  `;
+  db.query(sql, [userId])
+    .then(result => {
+      const [user] = result.rows;
+      if (!user) throw new ClientError(404, 'ERROR: User not found.');
+      return argon2.verify(user.hashedPassword, password);
+    })
+    .then(isMatching => {
+      if (!isMatching) throw new ClientError(403, 'ERROR: Password is incorrect.');
+      // Other users who logged or templated one of these custom exercises keep their
+      // history: each of them gets a private copy of the exercise before it is deleted.
+      const copySql = `
+        with "sharedExercisesCTE" as (
+          select "exerciseId",
+                 "userId",
+                 nextval(pg_get_serial_sequence('"exercises"', 'exerciseId'))::int as "copyId"
+          from   (
+                   select    "sets"."exerciseId",
+                             "workouts"."userId"
+                   from      "sets"
+                   join      "workouts" using ("workoutId")
+                   union
+                   select    "templateExercises"."exerciseId",
+                             "templates"."userId"
+                   from      "templateExercises"
+                   join      "templates" using ("templateId")
+                 ) as "references"
+          where  "userId" <> $1
+          and    "exerciseId" in (select "exerciseId" from "exercises" where "userId" = $1)
+        ),
+        "copiedExercisesCTE" as (
+          insert into "exercises" ("exerciseId", "name", "equipment", "userId", "trackingType")
+          select      "sharedExercisesCTE"."copyId",
+                      "exercises"."name",
+                      "exercises"."equipment",
+                      "sharedExercisesCTE"."userId",
+                      "exercises"."trackingType"
+          from        "sharedExercisesCTE"
+          join        "exercises" using ("exerciseId")
+        ),
+        "copiedMuscleGroupsCTE" as (
+          insert into "exerciseMuscleGroups" ("exerciseId", "muscleGroupId")
+          select      "sharedExercisesCTE"."copyId",
+                      "exerciseMuscleGroups"."muscleGroupId"
+          from        "sharedExercisesCTE"
+          join        "exerciseMuscleGroups" using ("exerciseId")
+        ),
+        "movedSetsCTE" as (
+          update "sets"
+          set    "exerciseId" = "sharedExercisesCTE"."copyId"
+          from   "sharedExercisesCTE",
+                 "workouts"
+          where  "sets"."exerciseId" = "sharedExercisesCTE"."exerciseId"
+          and    "workouts"."workoutId" = "sets"."workoutId"
+          and    "workouts"."userId" = "sharedExercisesCTE"."userId"
+        ),
+        "movedTemplateExercisesCTE" as (
+          update "templateExercises"
+          set    "exerciseId" = "sharedExercisesCTE"."copyId"
+          from   "sharedExercisesCTE",
+                 "templates"
+          where  "templateExercises"."exerciseId" = "sharedExercisesCTE"."exerciseId"
+          and    "templates"."templateId" = "templateExercises"."templateId"
+          and    "templates"."userId" = "sharedExercisesCTE"."userId"
+        )
+        update "restTimes"
+        set    "exerciseId" = "sharedExercisesCTE"."copyId"
+        from   "sharedExercisesCTE"
+        where  "restTimes"."exerciseId" = "sharedExercisesCTE"."exerciseId"
+        and    "restTimes"."userId" = "sharedExercisesCTE"."userId";
+      `;
+      const deleteSql = `
+        delete from "users"
+        where       "userId" = $1;
+      `;
+      return withTransaction(db, client => client.query(copySql, [userId])
+        .then(() => client.query(deleteSql, [userId])));
+    })
+    .then(() => {
+      res.status(204).json();
+    })
+    .catch(err => {
+      if (err.constraint === 'sets_fk1' || err.constraint === 'templateExercises_fk1') {
+        return next(new ClientError(409, 'ERROR: Your custom exercises were just used by another user, please try again.'));
       }
+      next(err);
     });
-    if (workoutName) {
-      const params = [workoutId, workoutName];
-      const nameSql = `
-      update "workouts"
-      set "workoutName" = $2
-      where "workoutId" = $1
+});
+
+app.post('/api/new-workout', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { workoutName, templateId } = req.body;
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if (templateId === undefined) {
+    const params = [userId, workoutName];
+    const sql = `
+      insert into "workouts" ("userId", "workoutName")
+      values      ($1, $2)
       returning *;
+    `;
+    db.query(sql, params)
+      .then(result => {
+        const newWorkout = result.rows[0];
+        res.status(201).json(newWorkout);
+      })
+      .catch(err => next(err));
+    return;
+  }
+  if (!Number(templateId)) throw new ClientError(400, 'ERROR: Invalid templateId.');
+  const templateParams = [Number(templateId), userId];
+  const templateSql = `
+    select "templateName"
+    from   "templates"
+    where  "templateId" = $1
+    and    "userId" = $2;
+  `;
+  db.query(templateSql, templateParams)
+    .then(result => {
+      const [template] = result.rows;
+      if (!template) throw new ClientError(404, 'ERROR: Template not found.');
+      const params = [userId, workoutName || template.templateName, Number(templateId)];
+      const sql = `
+        with "newWorkout" as (
+          insert into "workouts" ("userId", "workoutName")
+          values      ($1, $2)
+          returning *
+        ), "templateSets" as (
+          insert into "sets" ("workoutId", "exerciseId", "setOrder", "exerciseOrder")
+          select      "newWorkout"."workoutId",
+                      "templateExercises"."exerciseId",
+                      1,
+                      "templateExercises"."exerciseOrder"
+          from        "newWorkout",
+                      "templateExercises"
+          where       "templateExercises"."templateId" = $3
+          returning *
+        )
+        select *
+        from   "newWorkout";
       `;
-      setPromises.push(db.query(nameSql, params));
-    }
-    return setPromises;
-  });
-  Promise.all(exercisePromises)
+      return db.query(sql, params);
+    })
+    .then(result => {
+      const newWorkout = result.rows[0];
+      res.status(201).json(newWorkout);
+    })
+    .catch(err => next(err));
+});
+
+app.post('/api/workout/new-exercises', workoutOwnershipMiddleware(db, req => req.body.workoutId), (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { workoutId, exerciseIds } = req.body;
+  if (!workoutId || !Array.isArray(exerciseIds) || exerciseIds.length < 1) throw new ClientError(400, 'ERROR: Existing workoutId and exerciseId are required');
+  const params = [Number(workoutId), exerciseIds.map(Number)];
+  const sql = `
+    insert into "sets" ("workoutId", "exerciseId", "setOrder", "exerciseOrder")
+    select      $1,
+                "newExercise"."exerciseId",
+                1,
+                coalesce((
+                  select max("exerciseOrder")
+                  from   "sets"
+                  where  "workoutId" = $1
+                ), 0) + "newExercise"."position"
+    from        unnest($2::int[]) with ordinality as "newExercise" ("exerciseId", "position")
+    returning *;
+  `;
+  checkExerciseAccess(db, userId, exerciseIds)
+    .then(() => db.query(sql, params))
     .then(result => {
-      const resultSets = result.rows;
-      res.status(204).json(resultSets);
+      const addedSets = result.rows;
+      res.status(201).json(addedSets);
     })
     .catch(err => next(err));
 });
 
 app.patch('/api/workout/:workoutId/exercise/:exerciseId', (req, res, next) => {
+  const userId = Number(req.user.userId);
   const workoutId = Number(req.params.workoutId);
   const exerciseId = Number(req.params.exerciseId);
-  const { newExerciseId } = req.body;
+  const newExerciseId = Number(req.body.newExerciseId);
   if (!workoutId || !exerciseId) throw new ClientError(400, 'ERROR: Missing valid workoutId or exerciseId');
   const params = [workoutId, exerciseId, newExerciseId];
   const sql = `
@@ -358,7 +1714,8 @@ app.patch('/api/workout/:workoutId/exercise/:exerciseId', (req, res, next) => {
   and           "exerciseId" = $2
   returning *;
   `;
-  db.query(sql, params)
+  checkExerciseAccess(db, userId, [newExerciseId])
+    .then(() => db.query(sql, params))
     .then(result => {
       const replacedExerciseSets = result.rows;
       res.status(204).json(replacedExerciseSets);
@@ -366,20 +1723,192 @@ app.patch('/api/workout/:workoutId/exercise/:exerciseId', (req, res, next) => {
     .catch(err => next(err));
 });
 
-app.patch('/api/workout/:workoutId/completed', (req, res, next) => {
+app.put('/api/workout/:workoutId/exercise-order', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const workoutId = Number(req.params.workoutId);
+  const { exerciseIds } = req.body;
+  if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
+  if (!Array.isArray(exerciseIds) || exerciseIds.length < 1 || !exerciseIds.every(id => Number(id))) {
+    throw new ClientError(400, 'ERROR: exerciseIds must list every exercise in the workout.');
+  }
+  const params = [workoutId, userId, exerciseIds.map(Number)];
+  const sql = `
+    with "ownedWorkout" as (
+      select "workoutId"
+      from   "workouts"
+      where  "workoutId" = $1
+      and    "userId" = $2
+    ), "workoutExercises" as (
+      select distinct "exerciseId"
+      from   "sets"
+      where  "workoutId" in (select "workoutId" from "ownedWorkout")
+    ), "validOrder" as (
+      select (select count(*) from "workoutExercises") = cardinality($3::int[])
+             and (select count(distinct "exerciseId") from unnest($3::int[]) as "newOrder" ("exerciseId")) = cardinality($3::int[])
+             and not exists (
+               select 1
+               from   unnest($3::int[]) as "newOrder" ("exerciseId")
+               where  "newOrder"."exerciseId" not in (select "exerciseId" from "workoutExercises")
+             ) as "isValid"
+    ), "reorderedSets" as (
+      update "sets"
+      set    "exerciseOrder" = "newOrder"."position"
+      from   unnest($3::int[]) with ordinality as "newOrder" ("exerciseId", "position"),
+             "validOrder"
+      where  "validOrder"."isValid"
+      and    "sets"."workoutId" in (select "workoutId" from "ownedWorkout")
+      and    "sets"."exerciseId" = "newOrder"."exerciseId"
+    )
+    select "ownedWorkout"."workoutId",
+           "validOrder"."isValid"
+    from   "ownedWorkout",
+           "validOrder";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      const [reordered] = result.rows;
+      if (!reordered) throw new ClientError(404, 'ERROR: Workout not found.');
+      if (!reordered.isValid) throw new ClientError(400, 'ERROR: exerciseIds must list every exercise in the workout.');
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
+app.patch('/api/workout/:workoutId/supersets', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const workoutId = Number(req.params.workoutId);
+  const { exercises } = req.body;
+  if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
+  if (!Array.isArray(exercises)) throw new ClientError(400, 'ERROR: Missing exercises.');
+  const groups = exercises.map(exercise => ({
+    exerciseId: Number(exercise.exerciseId),
+    supersetGroup: Number(exercise.supersetGroup) || null
+  }));
+  if (groups.some(group => !group.exerciseId)) throw new ClientError(400, 'ERROR: Invalid exerciseId.');
+  const params = [workoutId, userId, JSON.stringify(groups)];
+  const sql = `
+    with "ownedWorkout" as (
+      select "workoutId"
+      from   "workouts"
+      where  "workoutId" = $1
+      and    "userId" = $2
+    ), "groupedSets" as (
+      update "sets"
+      set    "supersetGroup" = "groups"."supersetGroup"
+      from   jsonb_to_recordset($3::jsonb) as "groups" ("exerciseId" int, "supersetGroup" int)
+      where  "sets"."workoutId" in (select "workoutId" from "ownedWorkout")
+      and    "sets"."exerciseId" = "groups"."exerciseId"
+    )
+    select "workoutId"
+    from   "ownedWorkout";
+  `;
+  db.query(sql, params)
+    .then(result => {
+      if (!result.rows[0]) throw new ClientError(404, 'ERROR: Workout not found.');
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
+app.put('/api/workout/:workoutId/draft', (req, res, next) => {
+  const userId = Number(req.user.userId);
   const workoutId = Number(req.params.workoutId);
-  const { workoutName } = req.body;
-  if (!workoutId) throw new ClientError(400, 'ERROR: Existing workoutId is required');
-  const date = new Date();
-  const params = [workoutId, workoutName, date];
+  const { workoutName, exercises, notes } = req.body;
+  if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
+  if (!Array.isArray(exercises)) throw new ClientError(400, 'ERROR: Missing exercises.');
+  const params = [workoutId, userId, JSON.stringify({ exercises }), workoutName || null, notes !== undefined, parseNotes(notes)];
   const sql = `
-  update "workouts"
-  set    "completedAt" = $3,
-         "workoutName" = $2
-  where  "workoutId" = $1;
+    update    "workouts"
+    set       "draft" = $3::jsonb,
+              "workoutName" = coalesce($4, "workoutName"),
+              "notes" = case when $5 then $6 else "notes" end
+    where     "workoutId" = $1
+    and       "userId" = $2
+    and       "completedAt" is null
+    returning "workoutId";
   `;
   db.query(sql, params)
-    .then(result => res.status(204).json())
+    .then(result => {
+      if (!result.rows[0]) throw new ClientError(404, 'ERROR: Workout not found.');
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
+app.post('/api/workout/:workoutId/finish', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const workoutId = Number(req.params.workoutId);
+  const { exercises, workoutName, notes, idempotencyKey } = req.body;
+  if (!workoutId) throw new ClientError(400, 'ERROR: Invalid workoutId.');
+  if (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > 255) {
+    throw new ClientError(400, 'ERROR: idempotencyKey is required.');
+  }
+  if (!Array.isArray(exercises)) throw new ClientError(400, 'ERROR: Missing exercises.');
+  const workoutNotes = parseNotes(notes);
+  const lockSql = `
+    select "workouts"."completedAt",
+           "workouts"."idempotencyKey",
+           "users"."weightUnit"
+    from   "workouts"
+    join   "users" using ("userId")
+    where  "workouts"."workoutId" = $1
+    and    "workouts"."userId" = $2
+    for update of "workouts";
+  `;
+  const deleteSetsSql = `
+    delete from "sets"
+    where       "workoutId" = $1;
+  `;
+  const insertSetsSql = `
+    insert into "sets" ("workoutId", "exerciseId", "setOrder", "reps", "weight", "weightUnit", "restSeconds", "supersetGroup", "exerciseOrder", "setType", "rpe", "rir", "durationSeconds", "distance", "exerciseNotes", "notes")
+    select      $1::int,
+                "newSet"."exerciseId",
+                "newSet"."setOrder",
+                "newSet"."reps",
+                "toKilograms"("newSet"."weight", $2::text),
+                $2::text,
+                "newSet"."restSeconds",
+                "newSet"."supersetGroup",
+                "newSet"."exerciseOrder",
+                "newSet"."setType",
+                "newSet"."rpe",
+                "newSet"."rir",
+                "newSet"."durationSeconds",
+                "toMeters"("newSet"."distance", $2::text),
+                "newSet"."exerciseNotes",
+                "newSet"."notes"
+    from        jsonb_to_recordset($3::jsonb) as "newSet" ("exerciseId" int, "setOrder" int, "reps" int, "weight" numeric, "restSeconds" int, "supersetGroup" int, "exerciseOrder" int, "setType" text, "rpe" numeric, "rir" int, "durationSeconds" int, "distance" numeric, "exerciseNotes" text, "notes" text);
+  `;
+  const completeSql = `
+    update "workouts"
+    set    "completedAt" = now(),
+           "workoutName" = coalesce($2, "workoutName"),
+           "notes" = case when $3 then $4 else "notes" end,
+           "draft" = null,
+           "idempotencyKey" = $5
+    where  "workoutId" = $1;
+  `;
+  withTransaction(db, client => checkExerciseAccess(client, userId, exercises.map(exercise => exercise && exercise.exerciseId))
+    .then(trackingTypes => {
+      const sets = parseWorkoutSets(exercises, trackingTypes);
+      return client.query(lockSql, [workoutId, userId])
+        .then(result => {
+          const [workout] = result.rows;
+          if (!workout) throw new ClientError(404, 'ERROR: Workout not found.');
+          if (workout.completedAt) {
+            if (workout.idempotencyKey === idempotencyKey) return;
+            throw new ClientError(409, 'ERROR: Workout is already finished.');
+          }
+          return client.query(deleteSetsSql, [workoutId])
+            .then(() => client.query(insertSetsSql, [workoutId, workout.weightUnit, JSON.stringify(sets)]))
+            .then(() => client.query(completeSql, [workoutId, workoutName || null, notes !== undefined, workoutNotes, idempotencyKey]));
+        });
+    })
+    .then(() => client.query(savedWorkoutSql, [workoutId, userId])))
+    .then(result => {
+      const [savedWorkout] = result.rows;
+      res.status(200).json(savedWorkout);
+    })
     .catch(err => next(err));
 });
 
@@ -402,6 +1931,131 @@ app.delete('/api/workout/:workoutId/exercise/:exerciseId', (req, res, next) => {
     .catch(err => next(err));
 });
 
+app.get('/api/templates', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  const params = [userId];
+  const sql = `
+    select    "templates"."templateId",
+              "templates"."templateName",
+              json_agg(json_build_object(
+                'exerciseId', "exercises"."exerciseId",
+                'name', "exercises"."name",
+                'equipment', "exercises"."equipment"
+              ) order by "templateExercises"."exerciseOrder") as "exercises"
+    from      "templates"
+    join      "templateExercises" using ("templateId")
+    join      "exercises" using ("exerciseId")
+    where     "templates"."userId" = $1
+    group by  "templates"."templateId"
+    order by  "templates"."templateName" asc;
+  `;
+  db.query(sql, params)
+    .then(result => {
+      res.status(200).json(result.rows);
+    })
+    .catch(err => next(err));
+});
+
+app.post('/api/templates', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const { templateName, exerciseIds } = req.body;
+  if (!userId) throw new ClientError(400, 'ERROR: Invalid user.');
+  if (!templateName || !Array.isArray(exerciseIds) || exerciseIds.length < 1) {
+    throw new ClientError(400, 'ERROR: templateName and exerciseIds are required.');
+  }
+  const params = [userId, templateName, exerciseIds.map(Number)];
+  const sql = `
+    with "newTemplate" as (
+      insert into "templates" ("userId", "templateName")
+      values      ($1, $2)
+      returning *
+    ), "newExercises" as (
+      insert into "templateExercises" ("templateId", "exerciseId", "exerciseOrder")
+      select      "newTemplate"."templateId",
+                  "ids"."exerciseId",
+                  "ids"."exerciseOrder"
+      from        "newTemplate",
+                  unnest($3::int[]) with ordinality as "ids" ("exerciseId", "exerciseOrder")
+      returning *
+    )
+    select "templateId",
+           "templateName",
+           "createdAt"
+    from   "newTemplate";
+  `;
+  checkExerciseAccess(db, userId, exerciseIds)
+    .then(() => db.query(sql, params))
+    .then(result => {
+      const [newTemplate] = result.rows;
+      res.status(201).json(newTemplate);
+    })
+    .catch(err => next(err));
+});
+
+app.patch('/api/templates/:templateId', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const templateId = Number(req.params.templateId);
+  const { templateName, exerciseIds } = req.body;
+  if (!templateId) throw new ClientError(400, 'ERROR: Invalid templateId.');
+  if (exerciseIds !== undefined && (!Array.isArray(exerciseIds) || exerciseIds.length < 1)) {
+    throw new ClientError(400, 'ERROR: exerciseIds must include at least one exercise.');
+  }
+  const params = [templateId, userId, templateName || null, exerciseIds ? exerciseIds.map(Number) : null];
+  const sql = `
+    with "updatedTemplate" as (
+      update "templates"
+      set    "templateName" = coalesce($3, "templateName")
+      where  "templateId" = $1
+      and    "userId" = $2
+      returning *
+    ), "deletedExercises" as (
+      delete from "templateExercises"
+      where       "templateId" in (select "templateId" from "updatedTemplate")
+      and         $4::int[] is not null
+    ), "newExercises" as (
+      insert into "templateExercises" ("templateId", "exerciseId", "exerciseOrder")
+      select      "updatedTemplate"."templateId",
+                  "ids"."exerciseId",
+                  "ids"."exerciseOrder"
+      from        "updatedTemplate",
+                  unnest($4::int[]) with ordinality as "ids" ("exerciseId", "exerciseOrder")
+      returning *
+    )
+    select "templateId",
+           "templateName",
+           "createdAt"
+    from   "updatedTemplate";
+  `;
+  checkExerciseAccess(db, userId, exerciseIds || [])
+    .then(() => db.query(sql, params))
+    .then(result => {
+      const [updatedTemplate] = result.rows;
+      if (!updatedTemplate) throw new ClientError(404, 'ERROR: Template not found.');
+      res.status(200).json(updatedTemplate);
+    })
+    .catch(err => next(err));
+});
+
+app.delete('/api/templates/:templateId', (req, res, next) => {
+  const userId = Number(req.user.userId);
+  const templateId = Number(req.params.templateId);
+  if (!templateId) throw new ClientError(400, 'ERROR: Invalid templateId.');
+  const params = [templateId, userId];
+  const sql = `
+    delete from "templates"
+    where       "templateId" = $1
+    and         "userId" = $2
+    returning *;
+  `;
+  db.query(sql, params)
+    .then(result => {
+      if (!result.rows[0]) throw new ClientError(404, 'ERROR: Template not found.');
+      res.status(204).json();
+    })
+    .catch(err => next(err));
+});
+
 app.use(errorMiddleware);
 
 app.listen(process.env.PORT, () => {
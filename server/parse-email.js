@@ -0,0 +1,11 @@
+const ClientError = require('./client-error');
+
+function parseEmail(email) {
+  if (email === undefined || email === null || email === '') return null;
+  if (typeof email !== 'string' || email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    throw new ClientError(400, 'ERROR: Enter a valid email address.');
+  }
+  return email.trim().toLowerCase();
+}
+
+module.exports = parseEmail;
@@ -0,0 +1,10 @@
+const ClientError = require('./client-error');
+
+function parseNotes(notes) {
+  if (notes === undefined || notes === null) return null;
+  if (typeof notes !== 'string') throw new ClientError(400, 'ERROR: Notes must be text.');
+  if (notes.length > 1000) throw new ClientError(400, 'ERROR: Notes cannot be longer than 1000 characters.');
+  return notes.trim() || null;
+}
+
+module.exports = parseNotes;
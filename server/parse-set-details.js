@@ -0,0 +1,41 @@
+const ClientError = require('./client-error');
+const parseNotes = require('./parse-notes');
+
+const setTypes = ['warmup', 'working', 'drop', 'failure', 'amrap'];
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return Number(value);
+}
+
+function parseSetDetails(set) {
+  const setType = set.setType || 'working';
+  const rpe = toNumberOrNull(set.rpe);
+  const rir = toNumberOrNull(set.rir);
+  const durationSeconds = toNumberOrNull(set.durationSeconds);
+  const distance = toNumberOrNull(set.distance);
+  if (!setTypes.includes(setType)) {
+    throw new ClientError(400, `ERROR: Set type must be one of: ${setTypes.join(', ')}.`);
+  }
+  if (rpe !== null && !(rpe >= 1 && rpe <= 10 && Number.isInteger(rpe * 2))) {
+    throw new ClientError(400, 'ERROR: RPE must be between 1 and 10 in steps of 0.5.');
+  }
+  if (rir !== null && !(Number.isInteger(rir) && rir >= 0 && rir <= 10)) {
+    throw new ClientError(400, 'ERROR: RIR must be a whole number between 0 and 10.');
+  }
+  if (rpe !== null && rir !== null) throw new ClientError(400, 'ERROR: Record either RPE or RIR for a set, not both.');
+  if (durationSeconds !== null && !(Number.isInteger(durationSeconds) && durationSeconds >= 0)) {
+    throw new ClientError(400, 'ERROR: Duration must be a whole number of seconds.');
+  }
+  if (distance !== null && !(distance >= 0)) throw new ClientError(400, 'ERROR: Distance cannot be negative.');
+  return {
+    setType,
+    rpe,
+    rir,
+    durationSeconds: durationSeconds || null,
+    distance: distance || null,
+    notes: parseNotes(set.notes)
+  };
+}
+
+module.exports = parseSetDetails;
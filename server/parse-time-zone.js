@@ -0,0 +1,15 @@
+const ClientError = require('./client-error');
+
+// Intl and Postgres ship different zone databases, so routes must still turn Postgres
+// rejecting a zone (error code 22023) into a 400.
+function parseTimeZone(timeZone) {
+  if (timeZone === undefined || timeZone === null || timeZone === '') return 'UTC';
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (err) {
+    throw new ClientError(400, 'ERROR: Invalid time zone.');
+  }
+  return timeZone;
+}
+
+module.exports = parseTimeZone;
@@ -0,0 +1,49 @@
+const ClientError = require('./client-error');
+const parseNotes = require('./parse-notes');
+const parseSetDetails = require('./parse-set-details');
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && !value.trim());
+}
+
+// Weighted sets need a real weight; bodyweight sets record added (or, when negative,
+// assisted) weight; duration and distance exercises have none.
+function parseWeight(weight, trackingType) {
+  if (trackingType === 'duration' || trackingType === 'distanceTime') return null;
+  if (isBlank(weight)) {
+    if (trackingType === 'bodyweightReps') return 0;
+    throw new ClientError(400, 'ERROR: Weighted sets need a weight.');
+  }
+  const value = Number(weight);
+  if (!Number.isFinite(value)) throw new ClientError(400, 'ERROR: Weight must be a number.');
+  if (value < 0 && trackingType !== 'bodyweightReps') throw new ClientError(400, 'ERROR: Weight cannot be negative.');
+  return value;
+}
+
+// `trackingTypes` maps each exerciseId to its tracking type, as resolved by checkExerciseAccess.
+function parseWorkoutSets(exercises, trackingTypes) {
+  if (!Array.isArray(exercises)) throw new ClientError(400, 'ERROR: Missing exercises.');
+  if (exercises.some(exercise => !exercise || !Array.isArray(exercise.sets))) {
+    throw new ClientError(400, 'ERROR: Each exercise needs a sets array.');
+  }
+  const sets = exercises.flatMap((exercise, exerciseIndex) =>
+    exercise.sets.map((set, index) => ({
+      exerciseId: Number(exercise.exerciseId),
+      setOrder: index + 1,
+      reps: Math.round(Number(set.reps)) || null,
+      weight: parseWeight(set.weight, trackingTypes[Number(exercise.exerciseId)]),
+      restSeconds: Number.isInteger(set.restSeconds) ? set.restSeconds : null,
+      supersetGroup: Number(exercise.supersetGroup) || null,
+      exerciseOrder: exerciseIndex + 1,
+      exerciseNotes: parseNotes(exercise.exerciseNotes),
+      ...parseSetDetails(set)
+    }))
+  );
+  if (sets.length < 1) throw new ClientError(400, 'ERROR: A workout needs at least one set.');
+  if (sets.some(set => !set.exerciseId || !(set.reps > 0 || set.durationSeconds || set.distance))) {
+    throw new ClientError(400, 'ERROR: Sets need reps, a duration or a distance.');
+  }
+  return sets;
+}
+
+module.exports = parseWorkoutSets;
@@ -0,0 +1,96 @@
+/* eslint-env serviceworker */
+const CACHE_NAME = 'strive-v1';
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/main.js',
+  '/main.css',
+  '/reset.css',
+  '/styles.css',
+  '/favicon.ico',
+  '/images/chart-yellow.png',
+  '/images/db-yellow.png',
+  '/images/flame-red.png',
+  '/images/strive-logo.png',
+  '/images/user-icon.png'
+];
+const CACHED_API_PATHS = ['/api/all-exercises', '/api/exercise-filters'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// API responses are cached under their full URL, so offline requests only get a response
+// cached for the same filters. Pages and assets may fall back to any query string.
+function networkFirst(request, { fallbackUrl = null, ignoreSearch = false } = {}) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    })
+    .catch(err => caches.match(request)
+      .then(cached => cached || (ignoreSearch && caches.match(request, { ignoreSearch: true })))
+      .then(cached => cached || (fallbackUrl && caches.match(fallbackUrl)))
+      .then(cached => {
+        if (!cached) throw err;
+        return cached;
+      }));
+}
+
+function cacheFirst(request) {
+  return caches.match(request)
+    .then(cached => cached || fetch(request).then(response => {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      return response;
+    }));
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    if (request.destination === 'style' || request.destination === 'font') event.respondWith(cacheFirst(request));
+    return;
+  }
+  if (url.pathname.startsWith('/api/')) {
+    if (CACHED_API_PATHS.includes(url.pathname)) event.respondWith(networkFirst(request));
+    return;
+  }
+  event.respondWith(networkFirst(request, {
+    fallbackUrl: request.mode === 'navigate' ? '/index.html' : null,
+    ignoreSearch: true
+  }));
+});
+
+self.addEventListener('message', event => {
+  if (event.data !== 'clear-api-cache') return;
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => Promise.all(CACHED_API_PATHS.map(path => cache.delete(path, { ignoreSearch: true }))))
+  );
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag !== 'replay-mutations') return;
+  event.waitUntil(
+    self.clients.matchAll()
+      .then(clients => clients.forEach(client => client.postMessage('replay-mutations')))
+  );
+});
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const accessTokenLifetime = '15m';
+const refreshTokenLifetime = '30 days';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSecretToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function signAccessToken({ userId, username, sessionId }) {
+  const payload = { userId, username, sessionId };
+  return jwt.sign(payload, process.env.TOKEN_SECRET, { expiresIn: accessTokenLifetime });
+}
+
+module.exports = {
+  refreshTokenLifetime,
+  hashToken,
+  createSecretToken,
+  signAccessToken
+};
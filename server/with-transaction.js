@@ -0,0 +1,14 @@
+function withTransaction(db, callback) {
+  return db.connect().then(client => {
+    let releaseError;
+    return client.query('begin')
+      .then(() => callback(client))
+      .then(result => client.query('commit').then(() => result))
+      .catch(err => client.query('rollback')
+        .catch(rollbackError => { releaseError = rollbackError; })
+        .then(() => { throw err; }))
+      .finally(() => client.release(releaseError));
+  });
+}
+
+module.exports = withTransaction;
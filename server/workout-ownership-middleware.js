@@ -0,0 +1,24 @@
+const ClientError = require('./client-error');
+
+function workoutOwnershipMiddleware(db, getWorkoutId) {
+  return function checkWorkoutOwnership(req, res, next) {
+    const userId = Number(req.user.userId);
+    const workoutId = Number(getWorkoutId(req));
+    if (!workoutId) return next(new ClientError(400, 'ERROR: Invalid workoutId.'));
+    const params = [workoutId, userId];
+    const sql = `
+      select "workoutId"
+      from   "workouts"
+      where  "workoutId" = $1
+      and    "userId" = $2;
+    `;
+    db.query(sql, params)
+      .then(result => {
+        if (!result.rows[0]) throw new ClientError(404, 'ERROR: Workout not found.');
+        next();
+      })
+      .catch(err => next(err));
+  };
+}
+
+module.exports = workoutOwnershipMiddleware;
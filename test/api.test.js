@@ -0,0 +1,315 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, queryDatabase, startServer, stopServer, api, createUser } = require('./helpers/test-server');
+
+describe('api', { skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+  let server = null;
+  let ownerToken = null;
+  let otherToken = null;
+
+  before(() => resetDatabase()
+    .then(() => startServer())
+    .then(startedServer => { server = startedServer; })
+    .then(() => Promise.all([createUser('owner'), createUser('other')]))
+    .then(([owner, other]) => {
+      ownerToken = owner;
+      otherToken = other;
+    }));
+
+  after(() => stopServer(server));
+
+  describe('workouts', () => {
+    let workoutId = null;
+
+    before(() => api('POST', '/api/new-workout', { token: ownerToken, body: { workoutName: 'Push Day' } })
+      .then(result => {
+        workoutId = result.body.workoutId;
+        return api('POST', '/api/workout/new-exercises', { token: ownerToken, body: { workoutId, exerciseIds: [1] } });
+      }));
+
+    const foreignRequests = [
+      ['GET', id => `/api/workout/${id}`],
+      ['GET', id => `/api/user/workouts/${id}`],
+      ['PATCH', id => `/api/user/workouts/${id}`, { workoutName: 'Taken', completedAt: new Date().toISOString() }],
+      ['PUT', id => `/api/user/workouts/${id}/sets`, { exercises: [{ exerciseId: 1, sets: [{ reps: 5, weight: 100 }] }] }],
+      ['DELETE', id => `/api/user/workouts/${id}`],
+      ['POST', () => '/api/workout/new-exercises', id => ({ workoutId: id, exerciseIds: [2] })],
+      ['POST', id => `/api/workout/${id}/finish`, { idempotencyKey: 'foreign', exercises: [{ exerciseId: 1, sets: [{ reps: 5, weight: 100 }] }] }],
+      ['PUT', id => `/api/workout/${id}/draft`, { exercises: [] }],
+      ['PUT', id => `/api/workout/${id}/exercise-order`, { exerciseIds: [1] }],
+      ['PATCH', id => `/api/workout/${id}/supersets`, { exercises: [{ exerciseId: 1, supersetGroup: null }] }],
+      ['PATCH', id => `/api/workout/${id}/exercise/1`, { newExerciseId: 2 }],
+      ['DELETE', id => `/api/workout/${id}/exercise/1`]
+    ];
+
+    foreignRequests.forEach(([method, getUrl, body]) => {
+      it(`returns 404 for ${method} ${getUrl(':workoutId')} on another user's workout`, () => {
+        const requestBody = typeof body === 'function' ? body(workoutId) : body;
+        return api(method, getUrl(workoutId), { token: otherToken, body: requestBody })
+          .then(result => {
+            assert.equal(result.status, 404);
+            assert.equal(result.body.error, 'ERROR: Workout not found.');
+          });
+      });
+    });
+
+    it('leaves the owner\'s workout untouched', () => {
+      return api('GET', `/api/workout/${workoutId}`, { token: ownerToken })
+        .then(result => {
+          assert.equal(result.status, 200);
+          assert.equal(result.body.workoutName, 'Push Day');
+          assert.deepEqual(result.body.exercises.map(exercise => exercise.exerciseId), [1]);
+        });
+    });
+  });
+
+  describe('custom exercises', () => {
+    let customExerciseId = null;
+    let workoutId = null;
+
+    before(() => api('POST', '/api/exercises', { token: ownerToken, body: { name: 'Secret Press', muscleGroupIds: [1] } })
+      .then(result => {
+        customExerciseId = result.body.exerciseId;
+        return api('POST', '/api/new-workout', { token: otherToken, body: { workoutName: 'Leg Day' } });
+      })
+      .then(result => { workoutId = result.body.workoutId; }));
+
+    it('lets users add built-in exercises to their workouts', () => {
+      return api('POST', '/api/workout/new-exercises', { token: otherToken, body: { workoutId, exerciseIds: [1] } })
+        .then(result => assert.equal(result.status, 201));
+    });
+
+    it('rejects another user\'s custom exercise in a workout', () => {
+      return api('POST', '/api/workout/new-exercises', { token: otherToken, body: { workoutId, exerciseIds: [customExerciseId] } })
+        .then(result => {
+          assert.equal(result.status, 400);
+          assert.equal(result.body.error, 'ERROR: Exercise not found.');
+        });
+    });
+
+    it('rejects another user\'s custom exercise as a replacement', () => {
+      return api('PATCH', `/api/workout/${workoutId}/exercise/1`, { token: otherToken, body: { newExerciseId: customExerciseId } })
+        .then(result => assert.equal(result.status, 400));
+    });
+
+    it('rejects another user\'s custom exercise when finishing a workout', () => {
+      const body = { idempotencyKey: 'finish', exercises: [{ exerciseId: customExerciseId, sets: [{ reps: 5, weight: 100 }] }] };
+      return api('POST', `/api/workout/${workoutId}/finish`, { token: otherToken, body })
+        .then(result => assert.equal(result.status, 400));
+    });
+
+    it('rejects another user\'s custom exercise in a template', () => {
+      return api('POST', '/api/templates', { token: otherToken, body: { templateName: 'Copied', exerciseIds: [customExerciseId] } })
+        .then(result => assert.equal(result.status, 400));
+    });
+  });
+
+  describe('sessions', () => {
+    it('rejects access tokens from a signed-out session', () => {
+      let session = null;
+      return api('POST', '/api/auth/sign-in', { body: { username: 'owner', password: 'password1' } })
+        .then(result => {
+          session = result.body;
+          return api('POST', '/api/auth/sign-out', { body: { refreshToken: session.refreshToken } });
+        })
+        .then(() => api('GET', '/api/user/settings', { token: session.token }))
+        .then(result => assert.equal(result.status, 401));
+    });
+
+    it('keeps other sessions signed in', () => {
+      return api('GET', '/api/user/settings', { token: ownerToken })
+        .then(result => assert.equal(result.status, 200));
+    });
+  });
+
+  describe('account deletion', () => {
+    let leaverToken = null;
+    let keeperToken = null;
+    let customExerciseId = null;
+    let workoutId = null;
+
+    // Custom exercises could be shared before they were made private, so the
+    // other user's set, template and rest time are pointed at it directly.
+    before(() => Promise.all([createUser('leaver'), createUser('keeper')])
+      .then(([leaver, keeper]) => {
+        leaverToken = leaver;
+        keeperToken = keeper;
+        return api('POST', '/api/exercises', { token: leaverToken, body: { name: 'Shared Curl', muscleGroupIds: [5] } });
+      })
+      .then(result => {
+        customExerciseId = result.body.exerciseId;
+        return api('POST', '/api/new-workout', { token: keeperToken, body: { workoutName: 'Arm Day' } });
+      })
+      .then(result => {
+        workoutId = result.body.workoutId;
+        const body = { idempotencyKey: 'arms', exercises: [{ exerciseId: 1, sets: [{ reps: 8, weight: 30 }] }] };
+        return api('POST', `/api/workout/${workoutId}/finish`, { token: keeperToken, body });
+      })
+      .then(() => api('POST', '/api/templates', { token: keeperToken, body: { templateName: 'Arms', exerciseIds: [1] } }))
+      .then(() => api('PUT', '/api/user/exercises/1/rest-time', { token: keeperToken, body: { restSeconds: 60 } }))
+      .then(() => queryDatabase(`
+        with "movedSets" as (
+          update "sets" set "exerciseId" = $1 where "workoutId" = $2
+        ),
+        "movedTemplateExercises" as (
+          update "templateExercises" set "exerciseId" = $1
+          where  "templateId" in (select "templateId" from "templates" where "templateName" = 'Arms')
+        )
+        update "restTimes" set "exerciseId" = $1
+        where  "userId" = (select "userId" from "users" where "username" = 'keeper');
+      `, [customExerciseId, workoutId])));
+
+    it('deletes the account', () => {
+      return api('DELETE', '/api/user/account', { token: leaverToken, body: { password: 'password1' } })
+        .then(result => assert.equal(result.status, 204));
+    });
+
+    it('keeps a private copy of the exercise in other users\' history', () => {
+      return api('GET', `/api/user/workouts/${workoutId}`, { token: keeperToken })
+        .then(result => {
+          assert.equal(result.status, 200);
+          const [exercise] = result.body.exercises;
+          assert.equal(exercise.name, 'Shared Curl');
+          assert.notEqual(exercise.exerciseId, customExerciseId);
+          return queryDatabase(`
+            select "exercises"."userId" = "users"."userId" as "isOwned",
+                   (select count(*)::int from "templateExercises" where "exerciseId" = $1) as "templateUses",
+                   (select count(*)::int from "restTimes" where "exerciseId" = $1) as "restTimes",
+                   (select count(*)::int from "exerciseMuscleGroups" where "exerciseId" = $1) as "muscleGroups"
+            from   "exercises"
+            join   "users" on "users"."username" = 'keeper'
+            where  "exerciseId" = $1;
+          `, [exercise.exerciseId]);
+        })
+        .then(result => {
+          assert.deepEqual(result.rows[0], { isOwned: true, templateUses: 1, restTimes: 1, muscleGroups: 1 });
+        });
+    });
+  });
+
+  describe('set weights', () => {
+    let workoutId = null;
+
+    before(() => api('POST', '/api/new-workout', { token: ownerToken, body: { workoutName: 'Mixed Day' } })
+      .then(result => { workoutId = result.body.workoutId; }));
+
+    function finish(sets, exerciseId = 1) {
+      const body = { idempotencyKey: 'mixed', exercises: [{ exerciseId, sets }] };
+      return api('POST', `/api/workout/${workoutId}/finish`, { token: ownerToken, body });
+    }
+
+    [
+      ['a non-numeric weight', { reps: 5, weight: 'abc' }, 'ERROR: Weight must be a number.'],
+      ['a missing weight', { reps: 5 }, 'ERROR: Weighted sets need a weight.'],
+      ['a negative weight', { reps: 5, weight: -20 }, 'ERROR: Weight cannot be negative.']
+    ].forEach(([description, set, error]) => {
+      it(`rejects ${description} for a weighted exercise`, () => {
+        return finish([set])
+          .then(result => {
+            assert.equal(result.status, 400);
+            assert.equal(result.body.error, error);
+          });
+      });
+    });
+
+    it('does not need a weight for a duration exercise', () => {
+      return finish([{ durationSeconds: 60 }], 44)
+        .then(result => {
+          assert.equal(result.status, 200);
+          assert.equal(result.body.exercises[0].sets[0].weight, null);
+        });
+    });
+  });
+
+  describe('workout history', () => {
+    let historianToken = null;
+
+    // Finishes a workout and moves it to `completedAt`.
+    function logWorkout(workoutName, completedAt) {
+      return api('POST', '/api/new-workout', { token: historianToken, body: { workoutName } })
+        .then(result => {
+          const { workoutId } = result.body;
+          const body = { idempotencyKey: workoutName, exercises: [{ exerciseId: 1, sets: [{ reps: 5, weight: 100 }] }] };
+          return api('POST', `/api/workout/${workoutId}/finish`, { token: historianToken, body })
+            .then(() => api('PATCH', `/api/user/workouts/${workoutId}`, { token: historianToken, body: { completedAt } }));
+        });
+    }
+
+    function getHistory(query) {
+      return api('GET', `/api/user/workout-sets?${new URLSearchParams(query)}`, { token: historianToken });
+    }
+
+    before(() => createUser('historian')
+      .then(token => { historianToken = token; })
+      .then(() => logWorkout('Late Night Bench', '2026-03-10T02:00:00Z'))
+      .then(() => logWorkout('Morning Bench', '2026-03-15T12:00:00Z')));
+
+    it('counts only the workouts that match the filters', () => {
+      return getHistory({ q: 'morning' })
+        .then(result => {
+          assert.equal(result.status, 200);
+          assert.equal(result.body.totalWorkouts, 1);
+          assert.deepEqual(result.body.sets.map(set => set.workoutName), ['Morning Bench']);
+        });
+    });
+
+    it('filters dates by the user\'s time zone', () => {
+      const range = { from: '2026-03-09', to: '2026-03-09' };
+      return Promise.all([
+        getHistory({ ...range, timeZone: 'America/New_York' }),
+        getHistory({ ...range, timeZone: 'UTC' })
+      ])
+        .then(([newYork, utc]) => {
+          assert.equal(newYork.body.totalWorkouts, 1);
+          assert.deepEqual(newYork.body.sets.map(set => set.workoutName), ['Late Night Bench']);
+          assert.equal(utc.body.totalWorkouts, 0);
+          assert.deepEqual(utc.body.sets, []);
+        });
+    });
+
+    it('rejects date filters in time zones Postgres does not know', () => {
+      return getHistory({ from: '2026-03-01', timeZone: 'US/Pacific-New' })
+        .then(result => assert.equal(result.status, 400));
+    });
+  });
+
+  describe('workout edits', () => {
+    let workoutId = null;
+
+    before(() => api('POST', '/api/new-workout', { token: ownerToken, body: { workoutName: 'Pull Day' } })
+      .then(result => {
+        workoutId = result.body.workoutId;
+        const body = { idempotencyKey: 'pull', exercises: [{ exerciseId: 1, sets: [{ reps: 5, weight: 100 }] }] };
+        return api('POST', `/api/workout/${workoutId}/finish`, { token: ownerToken, body });
+      }));
+
+    function edit(body) {
+      return api('PATCH', `/api/user/workouts/${workoutId}`, { token: ownerToken, body });
+    }
+
+    it('saves details and sets in one request', () => {
+      const exercises = [{ exerciseId: 1, sets: [{ reps: 8, weight: 90 }, { reps: 6, weight: 95 }] }];
+      return edit({ workoutName: 'Heavy Pull Day', exercises })
+        .then(result => {
+          assert.equal(result.status, 200);
+          return api('GET', `/api/user/workouts/${workoutId}`, { token: ownerToken });
+        })
+        .then(result => {
+          assert.equal(result.body.workoutName, 'Heavy Pull Day');
+          assert.deepEqual(result.body.exercises[0].sets.map(set => set.reps), [8, 6]);
+        });
+    });
+
+    it('leaves the workout unchanged when the sets are rejected', () => {
+      return edit({ workoutName: 'Half Saved', exercises: [{ exerciseId: 1, sets: [{ reps: 8, weight: 'abc' }] }] })
+        .then(result => {
+          assert.equal(result.status, 400);
+          return api('GET', `/api/user/workouts/${workoutId}`, { token: ownerToken });
+        })
+        .then(result => {
+          assert.equal(result.body.workoutName, 'Heavy Pull Day');
+          assert.deepEqual(result.body.exercises[0].sets.map(set => set.reps), [8, 6]);
+        });
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const path = require('path');
+const { indexedDB, IDBKeyRange } = require('fake-indexeddb');
+
+// Client modules are written as ES modules for webpack, so they are compiled on require.
+require('@babel/register')({
+  only: [path.join(__dirname, '..', '..', 'client')],
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  babelrc: false,
+  configFile: false,
+  cache: false
+});
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+// Just enough of `window` and `navigator` for the offline queue and session helpers.
+function installBrowserEnvironment() {
+  const requests = [];
+  let respond = () => new Response(null, { status: 204 });
+  const window = new EventTarget();
+  Object.assign(window, { indexedDB, IDBKeyRange, localStorage: createStorage() });
+  const navigator = { onLine: true };
+  Object.defineProperty(globalThis, 'window', { value: window, configurable: true });
+  Object.defineProperty(globalThis, 'navigator', { value: navigator, configurable: true });
+  Object.defineProperty(globalThis, 'fetch', {
+    configurable: true,
+    value: (url, options) => {
+      requests.push({ url, ...options });
+      return Promise.resolve(respond(url, options));
+    }
+  });
+  return {
+    window,
+    navigator,
+    requests,
+    respondWith: handler => { respond = handler; }
+  };
+}
+
+module.exports = installBrowserEnvironment;
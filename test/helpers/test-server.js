@@ -0,0 +1,80 @@
+require('dotenv/config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const pg = require('pg');
+
+const rootPath = path.join(__dirname, '..', '..');
+const port = process.env.TEST_PORT || 3001;
+const baseUrl = `http://localhost:${port}`;
+
+// Rebuilds the test database from the same files `npm run db:import` uses.
+function resetDatabase() {
+  const client = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  const schemaSql = fs.readFileSync(path.join(rootPath, 'database', 'schema.sql'), 'utf8');
+  const dataSql = fs.readFileSync(path.join(rootPath, 'database', 'data.sql'), 'utf8');
+  return client.connect()
+    .then(() => client.query(schemaSql))
+    .then(() => client.query(dataSql))
+    .finally(() => client.end());
+}
+
+// Lets tests set up rows the API no longer allows, such as data from older releases.
+function queryDatabase(sql, params) {
+  const client = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  return client.connect()
+    .then(() => client.query(sql, params))
+    .finally(() => client.end());
+}
+
+function startServer() {
+  const server = spawn(process.execPath, [path.join(rootPath, 'server', 'index.js')], {
+    cwd: rootPath,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      NODE_ENV: 'test',
+      TOKEN_SECRET: 'test-secret',
+      DATABASE_URL: process.env.TEST_DATABASE_URL,
+      MAIL_TRANSPORT: 'file',
+      MAIL_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'strive-mail-'))
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  return new Promise((resolve, reject) => {
+    server.once('exit', code => reject(new Error(`Server exited with code ${code}.`)));
+    server.stdout.on('data', data => {
+      if (data.toString().includes('app listening')) resolve(server);
+    });
+  });
+}
+
+function stopServer(server) {
+  if (!server || server.exitCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    server.removeAllListeners('exit');
+    server.once('exit', () => resolve());
+    server.kill();
+  });
+}
+
+function api(method, url, { token, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers['X-Access-Token'] = token;
+  return fetch(baseUrl + url, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  })
+    .then(response => response.text()
+      .then(text => ({ status: response.status, body: text ? JSON.parse(text) : null })));
+}
+
+function createUser(username, password = 'password1') {
+  return api('POST', '/api/auth/sign-up', { body: { username, password } })
+    .then(() => api('POST', '/api/auth/sign-in', { body: { username, password } }))
+    .then(result => result.body.token);
+}
+
+module.exports = { resetDatabase, queryDatabase, startServer, stopServer, api, createUser };
@@ -0,0 +1,36 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const createMailTransport = require('../server/mail-transport');
+
+const message = { to: 'lifter@example.com', subject: 'Reset your STRIVE password', text: 'https://strive.test/#reset-password?token=secret' };
+
+describe('mail transport', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('does not print messages in production without a configured transport', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const write = mock.method(process.stdout, 'write', () => true);
+    const mailer = createMailTransport({ isProduction: true });
+    return mailer.send(message)
+      .then(() => {
+        assert.equal(write.mock.callCount(), 0);
+        assert.equal(warn.mock.callCount(), 2);
+        warn.mock.calls.forEach(call => assert.doesNotMatch(call.arguments[0], /token=secret/));
+      });
+  });
+
+  it('requires SMTP_URL for the smtp transport', () => {
+    assert.throws(() => createMailTransport({ transport: 'smtp' }), /SMTP_URL/);
+  });
+
+  it('sends through SMTP when configured', () => {
+    const nodemailer = require('nodemailer');
+    const sendMail = mock.fn(() => Promise.resolve({}));
+    mock.method(nodemailer, 'createTransport', () => ({ sendMail }));
+    const mailer = createMailTransport({ transport: 'smtp', smtpUrl: 'smtp://localhost:2525', from: 'STRIVE <no-reply@strive.test>' });
+    return mailer.send(message)
+      .then(() => {
+        assert.deepEqual(sendMail.mock.calls[0].arguments[0], { from: 'STRIVE <no-reply@strive.test>', ...message });
+      });
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const installBrowserEnvironment = require('./helpers/browser-environment');
+
+describe('offline queue', () => {
+  let browser = null;
+  let offlineQueue = null;
+  let authSession = null;
+
+  before(() => {
+    browser = installBrowserEnvironment();
+    offlineQueue = require('../client/lib/offline-queue');
+    authSession = require('../client/lib/auth-session');
+  });
+
+  it('does not replay one user\'s offline changes into the next user\'s account', () => {
+    const { sendMutation, replayMutations, saveLocalWorkout, getLocalWorkout, getSyncStatus } = offlineQueue;
+    authSession.saveSession({ token: 'token-a', refreshToken: 'refresh-a' });
+    browser.navigator.onLine = false;
+    return sendMutation('/api/user/workouts/5', { method: 'DELETE', workoutId: 5 })
+      .then(() => {
+        browser.navigator.onLine = true;
+        browser.respondWith(() => Response.json({ error: 'ERROR: Workout not found.' }, { status: 404 }));
+        return replayMutations();
+      })
+      .then(() => {
+        browser.navigator.onLine = false;
+        return sendMutation('/api/new-workout', {
+          method: 'POST',
+          body: { workoutName: 'Offline Workout' },
+          workoutId: -1,
+          createsWorkout: true,
+          offlineResult: { workoutId: -1 }
+        });
+      })
+      .then(() => saveLocalWorkout({ workoutId: -1, workoutName: 'Offline Workout', exercises: [] }))
+      .then(() => getSyncStatus())
+      .then(status => {
+        assert.equal(status.pending, 1);
+        assert.equal(status.conflicts, 1);
+        return authSession.clearSession();
+      })
+      .then(() => {
+        authSession.saveSession({ token: 'token-b', refreshToken: 'refresh-b' });
+        browser.requests.length = 0;
+        browser.navigator.onLine = true;
+        return replayMutations();
+      })
+      .then(() => {
+        assert.deepEqual(browser.requests, []);
+        return getSyncStatus();
+      })
+      .then(status => {
+        assert.equal(status.pending, 0);
+        assert.equal(status.conflicts, 0);
+        return assert.rejects(getLocalWorkout(-1));
+      });
+  });
+});